@@ -0,0 +1,165 @@
+/**
+ * Band plan module for Radio VoIP DayZ
+ * Validates frequencies and formats them so a dial position always maps to the same channel
+ */
+
+const DEFAULT_BAND_PLAN = {
+    min: 1,
+    max: 999.9,
+    step: 0.1,
+    decimals: 1,
+    maxChannels: 16
+};
+
+// Environment variable of each band plan field
+const ENV_KEYS = {
+    min: "FREQUENCY_MIN",
+    max: "FREQUENCY_MAX",
+    step: "FREQUENCY_STEP",
+    decimals: "FREQUENCY_DECIMALS",
+    maxChannels: "MAX_CHANNELS"
+};
+
+// toFixed() only accepts 0 to 20 digits
+const MAX_DECIMALS = 20;
+
+/**
+ * Check a band plan before using it, problems are named after the env variables
+ * @param {object} bandPlan
+ * @returns {string[]} - Problems found, empty if valid
+ */
+function validateBandPlan(bandPlan) {
+    const errors = [];
+    const { min, max, step, decimals, maxChannels } = bandPlan;
+
+    const invalid = Object.keys(ENV_KEYS).filter(field => !Number.isFinite(bandPlan[field]));
+    if (invalid.length > 0) {
+        return invalid.map(field => `${ENV_KEYS[field]} must be a number`);
+    }
+
+    if (min < 0) {
+        errors.push(`${ENV_KEYS.min} must be 0 or more (got ${min})`);
+    }
+    if (min >= max) {
+        errors.push(`${ENV_KEYS.min} (${min}) must be below ${ENV_KEYS.max} (${max})`);
+    }
+    if (!Number.isInteger(decimals) || decimals < 0 || decimals > MAX_DECIMALS) {
+        errors.push(`${ENV_KEYS.decimals} must be an integer from 0 to ${MAX_DECIMALS} (got ${decimals})`);
+    } else {
+        // The step must be representable with the kept decimals, or two channels get the same name
+        const units = step * Math.pow(10, decimals);
+        if (Math.round(units) < 1 || Math.abs(units - Math.round(units)) > 1e-9 * units) {
+            errors.push(`${ENV_KEYS.step} must be a positive multiple of ${Math.pow(10, -decimals)} with ${ENV_KEYS.decimals}=${decimals} (got ${step})`);
+        }
+    }
+    if (!Number.isInteger(maxChannels) || maxChannels < 1) {
+        errors.push(`${ENV_KEYS.maxChannels} must be a positive integer (got ${maxChannels})`);
+    }
+
+    return errors;
+}
+
+/**
+ * Build the band plan from process.env (FREQUENCY_MIN, FREQUENCY_MAX,
+ * FREQUENCY_STEP, FREQUENCY_DECIMALS, MAX_CHANNELS)
+ * An invalid plan is logged and replaced as a whole by the default one
+ * @param {function} [log] - Receives each problem found
+ * @returns {object}
+ */
+function getBandPlanFromEnv(log = console.error) {
+    const bandPlan = {};
+    Object.entries(ENV_KEYS).forEach(([field, key]) => {
+        const value = process.env[key];
+        bandPlan[field] = value === undefined || value.trim() === "" ? DEFAULT_BAND_PLAN[field] : Number(value);
+    });
+
+    const errors = validateBandPlan(bandPlan);
+    if (errors.length > 0) {
+        errors.forEach(error => log(`[BandPlan] Invalid configuration: ${error}`));
+        log("[BandPlan] Using the default band plan instead");
+        return { ...DEFAULT_BAND_PLAN };
+    }
+    return bandPlan;
+}
+
+/**
+ * Format a frequency to its canonical channel name
+ * 45.30 and 45.3000001 both give "45.3"
+ * @param {number} frequency
+ * @param {object} [bandPlan]
+ * @returns {string}
+ */
+function formatFrequency(frequency, bandPlan = DEFAULT_BAND_PLAN) {
+    return String(Number(frequency.toFixed(bandPlan.decimals)));
+}
+
+/**
+ * Check a frequency value against the band plan
+ * @param {number} frequency
+ * @param {object} [bandPlan]
+ * @returns {string|null} - Description of the problem, or null if valid
+ */
+function validateFrequency(frequency, bandPlan = DEFAULT_BAND_PLAN) {
+    if (typeof frequency !== "number") {
+        return `${JSON.stringify(frequency)} is not a number`;
+    }
+    if (!Number.isFinite(frequency)) {
+        return `${frequency} is not a finite number`;
+    }
+    if (frequency < bandPlan.min) {
+        return `${frequency} is below minimum ${bandPlan.min}`;
+    }
+    if (frequency > bandPlan.max) {
+        return `${frequency} is above maximum ${bandPlan.max}`;
+    }
+
+    // Tolerance for floating point noise (45.3000001)
+    const steps = Math.round(frequency / bandPlan.step);
+    const tolerance = Math.pow(10, -(bandPlan.decimals + 2));
+    if (Math.abs(frequency - steps * bandPlan.step) > tolerance) {
+        return `${frequency} is not a multiple of step ${bandPlan.step}`;
+    }
+    return null;
+}
+
+/**
+ * Check a frequency list against the band plan
+ * @param {Array<{frequency: number}>} list
+ * @param {object} [bandPlan]
+ * @param {string} [field] - Name of the list in the request body, prefixes the reported fields
+ * @returns {Array<{field: string, message: string}>} - Problems found, empty if valid
+ */
+function validateFrequencyList(list, bandPlan = DEFAULT_BAND_PLAN, field = "frequencies") {
+    const errors = [];
+
+    if (list.length > bandPlan.maxChannels) {
+        errors.push({ field, message: `too many frequencies: ${list.length} (maximum ${bandPlan.maxChannels})` });
+    }
+
+    const seen = new Set();
+    list.forEach((entry, index) => {
+        const entryField = `${field}[${index}].frequency`;
+        const error = validateFrequency(entry.frequency, bandPlan);
+        if (error) {
+            errors.push({ field: entryField, message: error });
+            return;
+        }
+
+        const channel = formatFrequency(entry.frequency, bandPlan);
+        if (seen.has(channel)) {
+            errors.push({ field: entryField, message: `duplicate of ${channel}` });
+        }
+        seen.add(channel);
+    });
+
+    return errors;
+}
+
+module.exports = {
+    DEFAULT_BAND_PLAN,
+    validateBandPlan,
+    getBandPlanFromEnv,
+    formatFrequency,
+    validateFrequency,
+    validateFrequencyList
+};
@@ -0,0 +1,419 @@
+/**
+ * Bridge module for Radio VoIP DayZ
+ * Everything between the DayZ mod and the VoIP window, without Electron:
+ * local HTTP server, session state, heartbeat check and reconnection, PTT watchdog and renderer crash recovery
+ */
+
+const http = require("http");
+const { saveConfig, readConfig, deleteConfig, removeStaleConfig } = require("./config.cjs");
+const { findFreePort, generateAuthToken, createRequestHandler } = require("./httpServer.cjs");
+const { createEventStream } = require("./eventStream.cjs");
+const { createRadioState } = require("./radioState.cjs");
+const { createRequestLimits } = require("./requestLimits.cjs");
+const { parseServerURL } = require("./serverPolicy.cjs");
+const { getOrigin } = require("./windowPolicy.cjs");
+const { getCapabilities } = require("./capabilities.cjs");
+const {
+    DEFAULT_HEARTBEAT_INTERVAL,
+    DEFAULT_HEARTBEAT_TIMEOUT,
+    MAX_CHECK_INTERVAL: HEARTBEAT_CHECK_INTERVAL,
+    resolveHeartbeatPolicy,
+    getCheckInterval
+} = require("./heartbeatPolicy.cjs");
+const {
+    RENDERER_CHANNELS,
+    createEmitter,
+    releasePTT,
+    startReconnecting,
+    endSession
+} = require("./session.cjs");
+const {
+    DEFAULT_MAX_TRANSMIT_DURATION,
+    DEFAULT_HEARTBEAT_STALE_TIMEOUT,
+    getAutoReleaseReason
+} = require("./pttWatchdog.cjs");
+
+const DEFAULT_START_PORT = 19800;
+const DEFAULT_RECONNECT_GRACE = 60000; // RECONNECTING this long after the timeout, then disconnect
+const PTT_WATCHDOG_INTERVAL = 1000;
+
+// Reload after a renderer crash, give up after too many
+const RENDERER_RELOAD_DELAY = 1000;
+const RENDERER_CRASH_WINDOW = 60000;
+const MAX_RENDERER_RELOADS = 3;
+
+/**
+ * Timers read at call time, so Jest fake timers replace them
+ */
+const DEFAULT_CLOCK = {
+    now: () => Date.now(),
+    setTimeout: (callback, delay) => setTimeout(callback, delay),
+    setInterval: (callback, delay) => setInterval(callback, delay),
+    clearInterval: (id) => clearInterval(id)
+};
+
+/**
+ * Create the bridge between the DayZ mod and the VoIP window
+ * @param {object} options
+ * @param {object} options.windowAdapter - The VoIP window:
+ *   { isOpen(), send(channel, payload), loadURL(url), loadWaitingPage(), confirmServer?(origin) }
+ * @param {object} [options.clock] - { now, setTimeout, setInterval, clearInterval }, defaults to the global timers
+ * @param {string} [options.configPath] - Where start() writes port, token and capabilities for the mod, shutdown() deletes it
+ * @param {object} [options.settings] - Settings store holding the allowed VoIP servers
+ * @param {object} [options.bandPlan] - Band plan used to validate frequencies
+ * @param {object} [options.limits] - Request limits, defaults to createRequestLimits()
+ * @param {number} [options.maxBodySize] - Maximum body size in bytes
+ * @param {number} [options.bodyTimeout] - Maximum time to receive a body (ms)
+ * @param {number} [options.heartbeatInterval] - Heartbeat interval when the mod asks none on /connect (ms)
+ * @param {number} [options.heartbeatTimeout] - RECONNECTING after this long without heartbeat, unless /connect asks otherwise (ms)
+ * @param {number} [options.reconnectGrace] - Disconnect after this long in RECONNECTING (ms)
+ * @param {number} [options.pttMaxDuration] - Release PTT held longer than this (ms)
+ * @param {number} [options.pttHeartbeatStale] - Release PTT after this long without heartbeat (ms)
+ * @param {number} [options.startPort] - First port tried by start()
+ * @param {function} [options.log]
+ * @returns {object}
+ */
+function createBridge(options) {
+    const { windowAdapter, configPath } = options;
+    const clock = { ...DEFAULT_CLOCK, ...options.clock };
+    const log = options.log || (() => {});
+    const limits = options.limits || createRequestLimits();
+    const heartbeatDefaults = {
+        interval: options.heartbeatInterval ?? DEFAULT_HEARTBEAT_INTERVAL,
+        timeout: options.heartbeatTimeout ?? DEFAULT_HEARTBEAT_TIMEOUT
+    };
+    const reconnectGrace = options.reconnectGrace ?? DEFAULT_RECONNECT_GRACE;
+    const watchdogOptions = {
+        maxTransmitDuration: options.pttMaxDuration ?? DEFAULT_MAX_TRANSMIT_DURATION,
+        heartbeatStaleTimeout: options.pttHeartbeatStale ?? DEFAULT_HEARTBEAT_STALE_TIMEOUT
+    };
+
+    const events = createEventStream();
+    let connectedOrigin = null; // Only origin the window may navigate to and use the microphone on
+    let server = null;
+    let port = null;
+    let authToken = null;
+    let heartbeatTimer = null;
+    let watchdogTimer = null;
+    let rendererCrashCount = 0;
+    let lastRendererCrash = 0;
+
+    // Shared with the HTTP routes
+    const state = {
+        serverURL: null,
+        isPTTPressed: false,
+        pttPressedAt: null,
+        pttFrequencies: null,
+        pttAutoRelease: null,
+        pttSequence: null,
+        pttTimestamp: null,
+        lastHeartbeat: null,
+        reconnectingSince: null,
+        heartbeatPolicy: null,
+        heartbeatStats: null,
+        radio: createRadioState(),
+        get mainWindow() {
+            return windowAdapter.isOpen();
+        }
+    };
+
+    function sendToWindow(channel, payload) {
+        if (windowAdapter.isOpen()) {
+            windowAdapter.send(channel, payload);
+        }
+    }
+
+    function openServer(url) {
+        connectedOrigin = getOrigin(url);
+        if (windowAdapter.isOpen()) {
+            windowAdapter.loadURL(url);
+        }
+    }
+
+    function closeServer() {
+        connectedOrigin = null;
+        if (windowAdapter.isOpen()) {
+            windowAdapter.loadWaitingPage();
+        }
+    }
+
+    // Every renderer event of the routes goes to the window
+    const callbacks = {
+        ...Object.fromEntries(Object.entries(RENDERER_CHANNELS).map(([channel, name]) => [
+            name,
+            (payload) => sendToWindow(channel, payload)
+        ])),
+        confirmServer: windowAdapter.confirmServer && ((origin) => windowAdapter.confirmServer(origin)),
+        onConnect: (url) => {
+            scheduleHeartbeatCheck();
+            openServer(url);
+        },
+        onDisconnect: closeServer
+    };
+    const emit = createEmitter(callbacks, events);
+
+    /**
+     * Release PTT without an order from DayZ (watchdog, navigation, crash)
+     * @param {string} reason
+     */
+    function autoReleasePTT(reason) {
+        if (releasePTT(state, reason, emit, clock.now())) {
+            log("[PTT] Auto release:", reason);
+        }
+    }
+
+    /**
+     * Disconnect without an order from DayZ: PTT released, session cleared, waiting page shown
+     * @param {string} reason
+     */
+    function disconnect(reason) {
+        log("[HTTP] Disconnect:", reason);
+        endSession(state, reason, emit);
+        closeServer();
+    }
+
+    /**
+     * Effective heartbeat policy: negotiated on /connect, defaults before that
+     * @returns {{interval: number, timeout: number}}
+     */
+    function getHeartbeatPolicy() {
+        return state.heartbeatPolicy || resolveHeartbeatPolicy({}, {}, heartbeatDefaults);
+    }
+
+    function checkHeartbeat() {
+        if (!state.lastHeartbeat || !state.serverURL) return;
+
+        const heartbeatTimeout = getHeartbeatPolicy().timeout;
+        const now = clock.now();
+        const elapsed = now - state.lastHeartbeat;
+        if (elapsed > heartbeatTimeout + reconnectGrace) {
+            log("[Heartbeat] Timeout, no heartbeat for", elapsed, "ms");
+            events.broadcast("heartbeat:timeout", { elapsed });
+            disconnect("heartbeat_timeout");
+        } else if (elapsed > heartbeatTimeout && startReconnecting(state, emit, now)) {
+            // A game hitch or a server restart: keep the voice session, block PTT
+            log("[Heartbeat] Late by", elapsed, "ms, reconnecting");
+        }
+    }
+
+    /**
+     * (Re)start the heartbeat check at the pace of the current policy
+     */
+    function scheduleHeartbeatCheck() {
+        if (heartbeatTimer === null) return;
+        clock.clearInterval(heartbeatTimer);
+        heartbeatTimer = clock.setInterval(checkHeartbeat, getCheckInterval(getHeartbeatPolicy()));
+    }
+
+    function checkPTTWatchdog() {
+        // A slow heartbeat policy must not release PTT between two heartbeats
+        const heartbeatStaleTimeout = Math.max(watchdogOptions.heartbeatStaleTimeout, getHeartbeatPolicy().interval * 2);
+        const reason = getAutoReleaseReason(state, { ...watchdogOptions, heartbeatStaleTimeout }, clock.now());
+        if (reason) {
+            autoReleasePTT(reason);
+        }
+    }
+
+    /**
+     * The renderer crashed or was killed: PTT released, page reloaded without losing the connection
+     * @param {{reason: string}} details - Electron render-process-gone details
+     */
+    function handleRendererGone(details) {
+        log("[Renderer] Process gone:", details.reason);
+        autoReleasePTT("renderer_gone");
+        events.broadcast("renderer:gone", { reason: details.reason });
+
+        if (details.reason === "clean-exit" || !windowAdapter.isOpen()) return;
+
+        const now = clock.now();
+        rendererCrashCount = now - lastRendererCrash < RENDERER_CRASH_WINDOW ? rendererCrashCount + 1 : 1;
+        lastRendererCrash = now;
+
+        if (rendererCrashCount > MAX_RENDERER_RELOADS) {
+            log("[Renderer] Too many crashes, giving up");
+            disconnect("renderer_crash");
+            return;
+        }
+
+        clock.setTimeout(() => {
+            if (!windowAdapter.isOpen()) return;
+            log("[Renderer] Reloading after crash");
+            if (state.serverURL) {
+                windowAdapter.loadURL(state.serverURL);
+            } else {
+                windowAdapter.loadWaitingPage();
+            }
+        }, RENDERER_RELOAD_DELAY);
+    }
+
+    /**
+     * Make the web client leave every channel, before its page goes away
+     * The radio state is kept, a reopened window gets it back with replayState
+     */
+    function leaveChannels() {
+        autoReleasePTT("shutdown");
+        state.radio.getFrequencies().forEach(f => sendToWindow("frequency:disconnect", f.frequency));
+    }
+
+    /**
+     * Snapshot of the current state for the renderer
+     * @returns {object}
+     */
+    function getState() {
+        return {
+            ...state.radio.getSnapshot(),
+            pttPressed: state.isPTTPressed,
+            pttFrequencies: state.pttFrequencies,
+            serverURL: state.serverURL,
+            reconnecting: state.reconnectingSince !== null
+        };
+    }
+
+    /**
+     * Send the radio state again, IPC sent while the page was loading are lost
+     */
+    function replayState() {
+        const { frequencies, activeChannel, muted, pttPressed, pttFrequencies } = getState();
+        if (frequencies.length > 0) {
+            sendToWindow("frequencies:update", frequencies);
+        }
+        if (activeChannel !== null) {
+            sendToWindow("active-channel:change", activeChannel);
+        }
+        if (muted) {
+            sendToWindow("mute:change", { frequency: null, muted: true });
+        }
+        if (pttPressed) {
+            sendToWindow("ptt:press", pttFrequencies ? { frequencies: pttFrequencies } : undefined);
+        }
+        if (state.reconnectingSince !== null) {
+            sendToWindow("connection:reconnecting", { since: state.reconnectingSince });
+        }
+    }
+
+    /**
+     * Connect from the manual connection modal of the waiting page
+     * @param {string} url
+     * @returns {{success: boolean, error?: string, code?: string}}
+     */
+    function manualConnect(url) {
+        const parsed = parseServerURL(url);
+        if (parsed.error) {
+            return { success: false, error: parsed.error, code: parsed.code };
+        }
+
+        log("[Window] Manual connect to:", url);
+        openServer(url);
+        return { success: true };
+    }
+
+    /**
+     * Stop timers, SSE clients and the HTTP server, dropping requests still in flight
+     * @returns {Promise<void>}
+     */
+    async function stop() {
+        [heartbeatTimer, watchdogTimer].filter(id => id !== null).forEach(id => clock.clearInterval(id));
+        heartbeatTimer = null;
+        watchdogTimer = null;
+        events.close();
+        if (server) {
+            await new Promise(resolve => {
+                server.close(resolve);
+                // A /connect waiting for the user's approval must not keep the server open
+                server.closeAllConnections();
+            });
+            server = null;
+        }
+    }
+
+    return {
+        state,
+        events,
+        getState,
+        replayState,
+        manualConnect,
+        disconnect,
+        leaveChannels,
+        handleRendererGone,
+        stop,
+        releasePTT: autoReleasePTT,
+
+        /**
+         * Start the local HTTP server, write the config file, start the heartbeat check and PTT watchdog
+         * @returns {Promise<number>} - Listening port
+         */
+        async start() {
+            // Left by a crash: the mod must not POST to a dead port while we start
+            if (configPath && removeStaleConfig(configPath)) {
+                log("[Config] Removed stale config:", configPath);
+            }
+
+            port = await findFreePort(options.startPort ?? DEFAULT_START_PORT);
+            authToken = generateAuthToken();
+
+            server = http.createServer(createRequestHandler(state, callbacks, {
+                authToken,
+                events,
+                bandPlan: options.bandPlan,
+                port,
+                settings: options.settings,
+                limits,
+                heartbeatDefaults,
+                maxBodySize: options.maxBodySize,
+                bodyTimeout: options.bodyTimeout,
+                now: clock.now,
+                log
+            }));
+            await new Promise(resolve => server.listen(port, "127.0.0.1", resolve));
+            log(`[HTTP] Local server listening on http://127.0.0.1:${port}`);
+
+            const config = { token: authToken, capabilities: getCapabilities(), pid: process.pid, startedAt: clock.now() };
+            if (configPath && saveConfig(configPath, port, config)) {
+                log("[Config] Saved:", configPath);
+            }
+
+            heartbeatTimer = clock.setInterval(checkHeartbeat, getCheckInterval(getHeartbeatPolicy()));
+            watchdogTimer = clock.setInterval(checkPTTWatchdog, PTT_WATCHDOG_INTERVAL);
+            return port;
+        },
+
+        /**
+         * Quit cleanly: PTT released, channels left, session ended, server closed, config deleted
+         * @returns {Promise<void>}
+         */
+        async shutdown() {
+            log("[App] Shutting down");
+            leaveChannels();
+            if (state.serverURL) {
+                endSession(state, "shutdown", emit);
+            }
+
+            // Before closing the server: the file must go even if the app quits before the server is closed
+            // Another instance may have taken the file over, only delete ours
+            if (configPath && readConfig(configPath)?.pid === process.pid && deleteConfig(configPath)) {
+                log("[Config] Deleted:", configPath);
+            }
+            await stop();
+        },
+
+        getHeartbeatPolicy,
+        getPort: () => port,
+        getAuthToken: () => authToken,
+        getConnectedOrigin: () => connectedOrigin,
+
+        /**
+         * Trust an origin loaded without /connect (dev server)
+         * @param {string|null} origin
+         */
+        setConnectedOrigin(origin) {
+            connectedOrigin = origin;
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_HEARTBEAT_TIMEOUT,
+    DEFAULT_RECONNECT_GRACE,
+    HEARTBEAT_CHECK_INTERVAL,
+    createBridge
+};
@@ -0,0 +1,71 @@
+/**
+ * Capabilities module for Radio VoIP DayZ
+ * Tells the mod which API version and features this build supports
+ */
+
+const { version: APP_VERSION } = require("../../package.json");
+
+/**
+ * Bumped on breaking changes only, new features are added to FEATURES
+ */
+const API_VERSION = 1;
+const API_PREFIX = `/v${API_VERSION}`;
+
+/**
+ * Features the mod may check before using them
+ * Never rename or remove an entry, older mods rely on them
+ */
+const FEATURES = [
+    "ptt",
+    "ptt-sequence", // seq / timestamp on /ptt/press and /ptt/release
+    "multi-channel-ptt", // frequencies on /ptt/press
+    "frequencies",
+    "active-channel",
+    "ear-side",
+    "volume",
+    "mute",
+    "frequency-disconnect",
+    "heartbeat",
+    "reconnecting", // RECONNECTING status, PTT press answered 409 meanwhile
+    "heartbeat-policy", // heartbeatInterval / heartbeatTimeout on /connect, heartbeat timestamp
+    "heartbeat-resync", // state snapshot on /heartbeat, corrections in the response
+    "events", // GET /events
+    "band-plan",
+    "request-schemas", // field-level 400 details
+    "openapi", // GET /openapi.json
+    "capabilities"
+];
+
+/**
+ * Get the capabilities of this build
+ * @returns {{appVersion: string, apiVersion: number, apiPrefix: string, features: string[]}}
+ */
+function getCapabilities() {
+    return {
+        appVersion: APP_VERSION,
+        apiVersion: API_VERSION,
+        apiPrefix: API_PREFIX,
+        features: [...FEATURES]
+    };
+}
+
+/**
+ * Strip the API version prefix of a path, unprefixed paths are aliases of the current version
+ * @param {string} pathname - "/v1/ptt/press" or "/ptt/press"
+ * @returns {string} - "/ptt/press"
+ */
+function getRoutePath(pathname) {
+    if (pathname.startsWith(`${API_PREFIX}/`)) {
+        return pathname.slice(API_PREFIX.length);
+    }
+    return pathname;
+}
+
+module.exports = {
+    APP_VERSION,
+    API_VERSION,
+    API_PREFIX,
+    FEATURES,
+    getCapabilities,
+    getRoutePath
+};
@@ -5,6 +5,11 @@
 const path = require("path");
 const fs = require("fs");
 
+/**
+ * Header carrying the shared secret written to the DayZ config file
+ */
+const AUTH_HEADER = "x-radio-token";
+
 /**
  * Load environment variables from .env file
  * @param {string} envPath - Path to .env file
@@ -48,6 +53,20 @@ function applyEnv(env) {
     });
 }
 
+/**
+ * Read a positive number from process.env
+ * @param {string} key - Environment variable name
+ * @param {number} defaultValue - Value used when missing or invalid
+ * @returns {number}
+ */
+function getEnvNumber(key, defaultValue) {
+    const value = Number(process.env[key]);
+    if (!process.env[key] || !Number.isFinite(value) || value <= 0) {
+        return defaultValue;
+    }
+    return value;
+}
+
 /**
  * Ensure directory exists, create if not
  * @param {string} dirPath
@@ -68,9 +87,14 @@ function ensureDirectoryExists(dirPath) {
  * Save config file for DayZ mod to read
  * @param {string} configPath - Path to config file
  * @param {number} port - HTTP server port
+ * @param {object} [options]
+ * @param {string} [options.token] - Shared secret the mod must send with every request
+ * @param {object} [options.capabilities] - API version and features, see getCapabilities
+ * @param {number} [options.pid] - Process that wrote the file, to detect files left by a crash
+ * @param {number} [options.startedAt] - Launch timestamp (ms), for the mod's logs
  * @returns {boolean}
  */
-function saveConfig(configPath, port) {
+function saveConfig(configPath, port, options = {}) {
     try {
         const configDir = path.dirname(configPath);
         ensureDirectoryExists(configDir);
@@ -80,6 +104,19 @@ function saveConfig(configPath, port) {
             url: `http://127.0.0.1:${port}`
         };
 
+        if (options.token) {
+            config.token = options.token;
+        }
+
+        if (options.capabilities) {
+            config.capabilities = options.capabilities;
+        }
+
+        if (options.pid) {
+            config.pid = options.pid;
+            config.startedAt = options.startedAt ?? Date.now();
+        }
+
         fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
         return true;
     } catch (err) {
@@ -120,6 +157,46 @@ function deleteConfig(configPath) {
     }
 }
 
+/**
+ * Check whether a process is still running
+ * @param {number} pid
+ * @returns {boolean}
+ */
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0); // Signal 0: existence check only, nothing is sent
+        return true;
+    } catch (err) {
+        // EPERM: running, but owned by another user
+        return err.code === "EPERM";
+    }
+}
+
+/**
+ * Check whether a config file was left behind by an app that is no longer running
+ * Files without pid come from older versions, which never deleted them
+ * @param {object} config
+ * @param {function(number): boolean} [isAlive]
+ * @returns {boolean}
+ */
+function isStaleConfig(config, isAlive = isProcessAlive) {
+    return !Number.isInteger(config.pid) || !isAlive(config.pid);
+}
+
+/**
+ * Delete the config file if it was left behind by a crash
+ * @param {string} configPath
+ * @param {function(number): boolean} [isAlive]
+ * @returns {boolean} - True if a stale file was deleted
+ */
+function removeStaleConfig(configPath, isAlive = isProcessAlive) {
+    const config = readConfig(configPath);
+    if (!config || !isStaleConfig(config, isAlive)) {
+        return false;
+    }
+    return deleteConfig(configPath);
+}
+
 /**
  * Get default config directory path
  * @returns {string}
@@ -137,12 +214,17 @@ function getDefaultConfigPath() {
 }
 
 module.exports = {
+    AUTH_HEADER,
     loadEnvFile,
     applyEnv,
+    getEnvNumber,
     ensureDirectoryExists,
     saveConfig,
     readConfig,
     deleteConfig,
+    isProcessAlive,
+    isStaleConfig,
+    removeStaleConfig,
     getDefaultConfigDir,
     getDefaultConfigPath
 };
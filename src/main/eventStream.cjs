@@ -0,0 +1,101 @@
+/**
+ * Server-Sent Events module for Radio VoIP DayZ
+ * Streams bridge state changes to the DayZ mod, overlays and debugging tools
+ */
+
+/**
+ * Format an SSE message
+ * @param {string} event - Event name
+ * @param {*} data - JSON serializable payload
+ * @returns {string}
+ */
+function formatSSE(event, data) {
+    const payload = data === undefined ? {} : data;
+    return `event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`;
+}
+
+/**
+ * Create an SSE broadcaster
+ * @param {object} [options]
+ * @param {number} [options.keepAliveInterval] - Interval between keep-alive comments (ms)
+ * @returns {object}
+ */
+function createEventStream(options = {}) {
+    const keepAliveInterval = options.keepAliveInterval || 15000;
+    const clients = new Set();
+    let keepAliveTimer = null;
+
+    function stopKeepAlive() {
+        if (keepAliveTimer) {
+            clearInterval(keepAliveTimer);
+            keepAliveTimer = null;
+        }
+    }
+
+    function startKeepAlive() {
+        if (keepAliveTimer) return;
+        keepAliveTimer = setInterval(() => {
+            clients.forEach(res => res.write(": keep-alive\n\n"));
+        }, keepAliveInterval);
+        // Ne pas empêcher le process de quitter
+        keepAliveTimer.unref?.();
+    }
+
+    function removeClient(res) {
+        clients.delete(res);
+        if (clients.size === 0) {
+            stopKeepAlive();
+        }
+    }
+
+    /**
+     * Register an HTTP response as SSE subscriber
+     * @param {http.ServerResponse} res
+     */
+    function addClient(res) {
+        res.writeHead(200, {
+            "Content-Type": "text/event-stream",
+            "Cache-Control": "no-cache",
+            "Connection": "keep-alive"
+        });
+        res.write(": connected\n\n");
+
+        clients.add(res);
+        res.on("close", () => removeClient(res));
+        startKeepAlive();
+    }
+
+    /**
+     * Send an event to every subscriber
+     * @param {string} event
+     * @param {*} data
+     */
+    function broadcast(event, data) {
+        if (clients.size === 0) return;
+        const message = formatSSE(event, data);
+        clients.forEach(res => res.write(message));
+    }
+
+    /**
+     * End every open stream
+     */
+    function close() {
+        clients.forEach(res => res.end());
+        clients.clear();
+        stopKeepAlive();
+    }
+
+    return {
+        addClient,
+        broadcast,
+        close,
+        get clientCount() {
+            return clients.size;
+        }
+    };
+}
+
+module.exports = {
+    formatSSE,
+    createEventStream
+};
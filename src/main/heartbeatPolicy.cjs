@@ -0,0 +1,144 @@
+/**
+ * Heartbeat policy module for Radio VoIP DayZ
+ * How often the mod sends /heartbeat and how long the app waits, negotiated on /connect
+ */
+
+const DEFAULT_HEARTBEAT_INTERVAL = 5000; // 5 secondes
+const DEFAULT_HEARTBEAT_TIMEOUT = 30000; // 30 secondes
+
+/**
+ * Values asked by the mod or the user are clamped to these ranges (ms)
+ */
+const HEARTBEAT_LIMITS = {
+    interval: { min: 1000, max: 30000 },
+    timeout: { min: 5000, max: 120000 }
+};
+
+// The timeout must cover at least this many missed heartbeats
+const MIN_MISSED_HEARTBEATS = 2;
+
+// The heartbeat check runs often enough to notice a timeout within a sixth of it
+const MIN_CHECK_INTERVAL = 1000;
+const MAX_CHECK_INTERVAL = 5000;
+
+function clamp(value, { min, max }) {
+    return Math.min(max, Math.max(min, Math.round(value)));
+}
+
+function isPositiveNumber(value) {
+    return typeof value === "number" && Number.isFinite(value) && value > 0;
+}
+
+/**
+ * Get the effective heartbeat policy of a session
+ * User overrides win over the values asked by the mod, which win over the defaults
+ * @param {{interval?: number, timeout?: number}} [requested] - heartbeatInterval / heartbeatTimeout from /connect
+ * @param {{interval?: number, timeout?: number}} [overrides] - From the user settings
+ * @param {{interval?: number, timeout?: number}} [defaults]
+ * @returns {{interval: number, timeout: number}}
+ */
+function resolveHeartbeatPolicy(requested = {}, overrides = {}, defaults = {}) {
+    const pick = (key, fallback) => [overrides[key], requested[key], defaults[key]].find(isPositiveNumber) ?? fallback;
+
+    const interval = clamp(pick("interval", DEFAULT_HEARTBEAT_INTERVAL), HEARTBEAT_LIMITS.interval);
+    const timeout = clamp(
+        Math.max(pick("timeout", DEFAULT_HEARTBEAT_TIMEOUT), interval * MIN_MISSED_HEARTBEATS),
+        HEARTBEAT_LIMITS.timeout
+    );
+    return { interval, timeout };
+}
+
+/**
+ * Get the user overrides of the heartbeat policy
+ * @param {object} [settings] - Settings store (heartbeatInterval, heartbeatTimeout)
+ * @returns {{interval?: number, timeout?: number}}
+ */
+function getHeartbeatOverrides(settings) {
+    if (!settings) {
+        return {};
+    }
+    return {
+        interval: settings.get("heartbeatInterval") ?? undefined,
+        timeout: settings.get("heartbeatTimeout") ?? undefined
+    };
+}
+
+/**
+ * Get how often the heartbeat must be checked for a policy
+ * @param {{timeout: number}} policy
+ * @returns {number} - Milliseconds
+ */
+function getCheckInterval(policy) {
+    return Math.min(MAX_CHECK_INTERVAL, Math.max(MIN_CHECK_INTERVAL, Math.round(policy.timeout / 6)));
+}
+
+/**
+ * Create the heartbeat statistics of a session
+ * Latency needs the timestamp sent by the mod, both run on the same machine and clock
+ * @returns {object}
+ */
+function createHeartbeatStats() {
+    let count = 0;
+    let lastAt = null;
+    let lastGap = null;
+    let gapTotal = 0;
+    let gapCount = 0;
+    let jitterTotal = 0;
+    let jitterCount = 0;
+    let latency = null;
+    let latencyTotal = 0;
+    let latencyCount = 0;
+
+    return {
+        /**
+         * Record a received heartbeat
+         * @param {number} receivedAt
+         * @param {number} [sentAt] - Timestamp sent by the mod
+         */
+        record(receivedAt, sentAt) {
+            if (lastAt !== null) {
+                const gap = receivedAt - lastAt;
+                gapTotal += gap;
+                gapCount++;
+                // Jitter: how much the gap between two heartbeats varies
+                if (lastGap !== null) {
+                    jitterTotal += Math.abs(gap - lastGap);
+                    jitterCount++;
+                }
+                lastGap = gap;
+            }
+            if (typeof sentAt === "number") {
+                const last = Math.max(0, receivedAt - sentAt);
+                latencyTotal += last;
+                latencyCount++;
+                latency = { last, average: Math.round(latencyTotal / latencyCount), max: Math.max(latency?.max ?? 0, last) };
+            }
+            count++;
+            lastAt = receivedAt;
+        },
+
+        /**
+         * @returns {{count: number, lastAt: number|null, interval: object|null, jitter: number|null, latency: object|null}}
+         */
+        getStats() {
+            return {
+                count,
+                lastAt,
+                interval: gapCount > 0 ? { last: lastGap, average: Math.round(gapTotal / gapCount) } : null,
+                jitter: jitterCount > 0 ? Math.round(jitterTotal / jitterCount) : null,
+                latency: latency ? { ...latency } : null
+            };
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_HEARTBEAT_INTERVAL,
+    DEFAULT_HEARTBEAT_TIMEOUT,
+    HEARTBEAT_LIMITS,
+    MAX_CHECK_INTERVAL,
+    resolveHeartbeatPolicy,
+    getHeartbeatOverrides,
+    getCheckInterval,
+    createHeartbeatStats
+};
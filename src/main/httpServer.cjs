@@ -4,24 +4,116 @@
  */
 
 const http = require("http");
+const crypto = require("crypto");
+const { AUTH_HEADER } = require("./config.cjs");
+const { createRadioState } = require("./radioState.cjs");
+const { DEFAULT_BAND_PLAN } = require("./bandPlan.cjs");
+const { DEFAULT_MAX_BODY_SIZE, DEFAULT_BODY_TIMEOUT } = require("./requestLimits.cjs");
+const { createEmitter, getConnectionStatus } = require("./session.cjs");
+const { findRoute } = require("./routes.cjs");
+const { getRoutePath } = require("./capabilities.cjs");
+const { validateSchema } = require("./schema.cjs");
+const {
+    normalizeFrequency,
+    isStalePTTCommand,
+    frequencyToString
+} = require("./validation.cjs");
+
+/**
+ * Schema messages of a field left out or sent empty, see missingCodes in routes.cjs
+ */
+const MISSING_MESSAGES = ["is required", "must not be empty"];
+
+/**
+ * Hostnames a browser page may call the bridge from
+ */
+const LOOPBACK_HOSTNAMES = ["localhost", "127.0.0.1", "[::1]"];
+
+/**
+ * Create an error answered with its own status code instead of 400
+ * @param {number} statusCode
+ * @param {string} message
+ * @returns {Error}
+ */
+function createHTTPError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+/**
+ * Check a Content-Type header is JSON (parameters such as charset are ignored)
+ * @param {string} contentType
+ * @returns {boolean}
+ */
+function isJSONContentType(contentType) {
+    if (typeof contentType !== "string") {
+        return false;
+    }
+    return contentType.split(";")[0].trim().toLowerCase() === "application/json";
+}
 
 /**
  * Parse JSON body from HTTP request
+ * Rejects with statusCode 413 (too large), 415 (not application/json) or 408 (too slow)
  * @param {http.IncomingMessage} req
+ * @param {object} [options]
+ * @param {number} [options.maxBodySize] - Maximum body size in bytes
+ * @param {number} [options.timeout] - Maximum time to receive the whole body (ms)
  * @returns {Promise<object>}
  */
-function parseJSONBody(req) {
+function parseJSONBody(req, options = {}) {
+    const maxBodySize = options.maxBodySize ?? DEFAULT_MAX_BODY_SIZE;
+    const timeout = options.timeout ?? DEFAULT_BODY_TIMEOUT;
+
     return new Promise((resolve, reject) => {
         let body = "";
-        req.on("data", chunk => { body += chunk; });
+        let size = 0;
+        let done = false;
+
+        // Stop at the first problem, later chunks are dropped instead of buffered
+        function finish(error, data) {
+            if (done) return;
+            done = true;
+            clearTimeout(timer);
+            if (error) {
+                reject(error);
+            } else {
+                resolve(data);
+            }
+        }
+
+        const timer = setTimeout(() => {
+            finish(createHTTPError(408, "Request body timeout"));
+        }, timeout);
+
+        if (Number(req.headers["content-length"]) > maxBodySize) {
+            finish(createHTTPError(413, "Request body too large"));
+            return;
+        }
+
+        req.on("data", chunk => {
+            if (done || chunk.length === 0) return;
+            if (size === 0 && !isJSONContentType(req.headers["content-type"])) {
+                finish(createHTTPError(415, "Content-Type must be application/json"));
+                return;
+            }
+
+            size += Buffer.byteLength(chunk);
+            if (size > maxBodySize) {
+                finish(createHTTPError(413, "Request body too large"));
+                return;
+            }
+            body += chunk;
+        });
         req.on("end", () => {
             try {
-                resolve(body ? JSON.parse(body) : {});
+                finish(null, body ? JSON.parse(body) : {});
             } catch (e) {
-                reject(e);
+                finish(e);
             }
         });
-        req.on("error", reject);
+        req.on("error", finish);
     });
 }
 
@@ -44,37 +136,123 @@ function findFreePort(startPort = 19800) {
 }
 
 /**
- * Validate frequency object
- * @param {object} freq - Frequency object with frequency and earSide
+ * Generate a random per-launch authentication token
+ * @returns {string}
+ */
+function generateAuthToken() {
+    return crypto.randomBytes(32).toString("hex");
+}
+
+/**
+ * Get the path of a request URL without its query string
+ * @param {string} url
+ * @returns {string}
+ */
+function getPathname(url) {
+    const queryIndex = url.indexOf("?");
+    return queryIndex === -1 ? url : url.substring(0, queryIndex);
+}
+
+/**
+ * Only route taking the token as a query parameter: EventSource cannot set headers
+ * Anywhere else it would end up in URLs, history and logs
+ */
+const QUERY_TOKEN_ROUTE = "/events";
+
+/**
+ * Get the token sent with a request (header, or `token` query parameter on GET /events)
+ * @param {http.IncomingMessage} req
+ * @returns {string|undefined}
+ */
+function getRequestToken(req) {
+    if (req.headers[AUTH_HEADER]) {
+        return req.headers[AUTH_HEADER];
+    }
+    if (req.method !== "GET" || !req.url || getRoutePath(getPathname(req.url)) !== QUERY_TOKEN_ROUTE) {
+        return undefined;
+    }
+    const queryIndex = req.url.indexOf("?");
+    if (queryIndex !== -1) {
+        return new URLSearchParams(req.url.substring(queryIndex + 1)).get("token") || undefined;
+    }
+    return undefined;
+}
+
+/**
+ * Check that a request carries the expected authentication token
+ * @param {http.IncomingMessage} req
+ * @param {string} token - Expected token
+ * @returns {boolean}
+ */
+function isAuthorized(req, token) {
+    const provided = getRequestToken(req);
+    if (typeof provided !== "string" || typeof token !== "string") {
+        return false;
+    }
+
+    const providedBuffer = Buffer.from(provided);
+    const tokenBuffer = Buffer.from(token);
+    if (providedBuffer.length !== tokenBuffer.length) {
+        return false;
+    }
+    return crypto.timingSafeEqual(providedBuffer, tokenBuffer);
+}
+
+/**
+ * Check that an Origin header is exactly a loopback origin
+ * Parsed with URL so "http://localhost.evil.com" or "http://127.0.0.1@evil.com" do not pass
+ * @param {string} origin
  * @returns {boolean}
  */
-function isValidFrequency(freq) {
-    return (
-        typeof freq === "object" &&
-        freq !== null &&
-        typeof freq.frequency === "number" &&
-        typeof freq.earSide === "number" &&
-        [0, 1, 2].includes(freq.earSide)
-    );
+function isAllowedOrigin(origin) {
+    if (typeof origin !== "string") {
+        return false;
+    }
+
+    let url;
+    try {
+        url = new URL(origin);
+    } catch (e) {
+        return false;
+    }
+
+    if (url.protocol !== "http:" && url.protocol !== "https:") {
+        return false;
+    }
+    if (!LOOPBACK_HOSTNAMES.includes(url.hostname)) {
+        return false;
+    }
+    // Reject anything that is not scheme://host[:port] as a browser sends it
+    return url.origin === origin;
 }
 
 /**
- * Validate array of frequencies
- * @param {Array} frequencies
+ * Check the Host header against the address the server listens on
+ * A DNS-rebound page reaches 127.0.0.1 with its own hostname in Host
+ * @param {string} host
+ * @param {number} port
  * @returns {boolean}
  */
-function isValidFrequenciesArray(frequencies) {
-    if (!Array.isArray(frequencies)) return false;
-    return frequencies.every(isValidFrequency);
+function isAllowedHost(host, port) {
+    return host === `127.0.0.1:${port}`;
 }
 
 /**
- * Convert frequency number to string
- * @param {number} frequency
- * @returns {string}
+ * Check where a request comes from before anything else is done with it
+ * @param {http.IncomingMessage} req
+ * @param {number} [port] - Listening port, the Host header is only checked when given
+ * @returns {string|null} - Error message, or null if allowed
  */
-function frequencyToString(frequency) {
-    return String(frequency);
+function validateRequestSource(req, port) {
+    if (port !== undefined && !isAllowedHost(req.headers.host, port)) {
+        return "Invalid Host header";
+    }
+    // Non-browser clients (DayZ) send no Origin, preflights always do
+    const origin = req.headers.origin;
+    if ((origin !== undefined || req.method === "OPTIONS") && !isAllowedOrigin(origin)) {
+        return "Origin not allowed";
+    }
+    return null;
 }
 
 /**
@@ -83,13 +261,14 @@ function frequencyToString(frequency) {
  * @param {string} origin
  */
 function setCORSHeaders(res, origin) {
-    if (origin && (origin.includes("localhost") || origin.includes("127.0.0.1"))) {
+    if (isAllowedOrigin(origin)) {
         res.setHeader("Access-Control-Allow-Origin", origin);
+        res.setHeader("Vary", "Origin");
     } else {
         res.setHeader("Access-Control-Allow-Origin", "http://127.0.0.1");
     }
     res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
-    res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+    res.setHeader("Access-Control-Allow-Headers", "Content-Type, X-Radio-Token");
 }
 
 /**
@@ -103,31 +282,60 @@ function sendJSON(res, statusCode, data) {
     res.end(JSON.stringify(data));
 }
 
-/**
- * Determine connection status
- * @param {string|null} serverURL
- * @param {object|null} mainWindow
- * @returns {string}
- */
-function getConnectionStatus(serverURL, mainWindow) {
-    if (serverURL) {
-        return "CONNECTED";
-    } else if (mainWindow) {
-        return "WAITING_FOR_CONNECTION";
-    }
-    return "DISCONNECTED";
-}
-
 /**
  * Create HTTP request handler
- * @param {object} state - Application state
- * @param {object} callbacks - Callback functions
+ * Routes come from the ROUTES table of routes.cjs, bodies are checked against their schema
+ * Every route is served under the API version prefix (/v1) and without it
+ * @param {object} state - Application state (state.radio defaults to a new radio state store)
+ * @param {object} callbacks - Callback functions, see RENDERER_CHANNELS, plus onConnect, onDisconnect and confirmServer
+ * @param {object} [options]
+ * @param {string} [options.authToken] - When set, every request must carry it in the X-Radio-Token header
+ * @param {object} [options.events] - Event stream created by createEventStream, enables GET /events
+ * @param {object} [options.bandPlan] - Band plan used to validate frequencies
+ * @param {number} [options.port] - Listening port, when set the Host header must be 127.0.0.1:<port>
+ * @param {object} [options.settings] - Settings store holding the allowed VoIP servers for /connect
+ * @param {object} [options.limits] - Request limits created by createRequestLimits, enables rate limiting and /status counters
+ * @param {number} [options.maxBodySize] - Maximum body size in bytes
+ * @param {number} [options.bodyTimeout] - Maximum time to receive a body (ms)
+ * @param {{interval?: number, timeout?: number}} [options.heartbeatDefaults] - Heartbeat policy when the mod asks none
+ * @param {function(): number} [options.now] - Clock used for heartbeat and PTT timestamps
+ * @param {function} [options.log] - Called with rejected requests and state changes
  * @returns {function}
  */
-function createRequestHandler(state, callbacks) {
+function createRequestHandler(state, callbacks, options = {}) {
+    const limits = options.limits;
+    const log = options.log || (() => {});
+    const bodyOptions = { maxBodySize: options.maxBodySize, timeout: options.bodyTimeout };
+    const context = {
+        state,
+        callbacks,
+        emit: createEmitter(callbacks, options.events),
+        events: options.events,
+        bandPlan: options.bandPlan || DEFAULT_BAND_PLAN,
+        settings: options.settings,
+        limits,
+        heartbeatDefaults: options.heartbeatDefaults,
+        port: options.port,
+        now: options.now || Date.now,
+        log
+    };
+    if (!state.radio) {
+        state.radio = createRadioState();
+    }
+
     return async (req, res) => {
         const origin = req.headers.origin;
         setCORSHeaders(res, origin);
+        // Logged instead of req.url: the query string may carry the token
+        const pathname = getPathname(req.url);
+
+        // Web pages (DNS rebinding) are refused: Host and Origin must be loopback
+        const sourceError = validateRequestSource(req, options.port);
+        if (sourceError) {
+            log("[HTTP] Rejected request:", req.method, pathname, sourceError);
+            sendJSON(res, 403, { error: sourceError });
+            return;
+        }
 
         if (req.method === "OPTIONS") {
             res.writeHead(200);
@@ -135,146 +343,77 @@ function createRequestHandler(state, callbacks) {
             return;
         }
 
-        const url = req.url;
-
-        try {
-            // PTT Endpoints
-            if (url === "/ptt/press" && req.method === "POST") {
-                if (state.mainWindow && !state.isPTTPressed) {
-                    state.isPTTPressed = true;
-                    callbacks.onPTTPress?.();
-                }
-                sendJSON(res, 200, { success: true });
-            }
-            else if (url === "/ptt/release" && req.method === "POST") {
-                if (state.mainWindow && state.isPTTPressed) {
-                    state.isPTTPressed = false;
-                    callbacks.onPTTRelease?.();
-                }
-                sendJSON(res, 200, { success: true });
-            }
-            // Status Endpoint
-            else if (url === "/status" && req.method === "GET") {
-                const status = getConnectionStatus(state.serverURL, state.mainWindow);
-                sendJSON(res, 200, {
-                    running: true,
-                    status: status,
-                    pttPressed: state.isPTTPressed,
-                    connected: state.serverURL !== null,
-                    serverURL: state.serverURL
-                });
-            }
-            // Connection Endpoints
-            else if (url === "/connect" && req.method === "POST") {
-                const data = await parseJSONBody(req);
-                if (data.url) {
-                    state.serverURL = data.url;
-                    state.lastHeartbeat = Date.now();
-                    callbacks.onConnect?.(data.url);
-                    sendJSON(res, 200, { success: true, url: state.serverURL });
-                } else {
-                    sendJSON(res, 400, { error: "Missing url parameter" });
-                }
-            }
-            else if (url === "/disconnect" && req.method === "POST") {
-                callbacks.onDisconnect?.("manual");
-                sendJSON(res, 200, { success: true });
-            }
-            else if (url === "/heartbeat" && req.method === "POST") {
-                state.lastHeartbeat = Date.now();
-                sendJSON(res, 200, { success: true });
-            }
-            // Legacy Single Frequency Endpoint
-            else if (url === "/frequency" && req.method === "POST") {
-                const data = await parseJSONBody(req);
-                if (data.frequency !== undefined) {
-                    const frequency = frequencyToString(data.frequency);
-                    callbacks.onFrequencyChange?.(frequency);
-                    sendJSON(res, 200, { success: true, frequency: frequency });
-                } else {
-                    sendJSON(res, 400, { error: "Missing frequency parameter" });
-                }
-            }
-            // Multi-Frequency Endpoints
-            else if (url === "/frequencies" && req.method === "POST") {
-                const data = await parseJSONBody(req);
-
-                if (!Array.isArray(data.frequencies)) {
-                    sendJSON(res, 400, { error: "frequencies must be an array" });
-                    return;
-                }
-
-                if (!isValidFrequenciesArray(data.frequencies)) {
-                    sendJSON(res, 400, {
-                        error: "Invalid frequency format. Expected: [{frequency: number, earSide: 0|1|2}]"
-                    });
-                    return;
-                }
-
-                const frequenciesWithStrings = data.frequencies.map(f => ({
-                    frequency: frequencyToString(f.frequency),
-                    earSide: f.earSide
-                }));
-
-                callbacks.onFrequenciesUpdate?.(frequenciesWithStrings);
-                sendJSON(res, 200, { success: true, count: frequenciesWithStrings.length });
-            }
-            else if (url === "/active-channel" && req.method === "POST") {
-                const data = await parseJSONBody(req);
+        if (options.authToken && !isAuthorized(req, options.authToken)) {
+            log("[HTTP] Unauthorized request:", req.method, pathname);
+            sendJSON(res, 401, { error: "Unauthorized" });
+            return;
+        }
 
-                if (typeof data.frequency !== "number") {
-                    sendJSON(res, 400, { error: "frequency must be a number" });
-                    return;
-                }
+        // /v1/status and /status are the same route (and the same rate limit bucket)
+        const url = getRoutePath(pathname);
 
-                const frequencyStr = frequencyToString(data.frequency);
-                callbacks.onActiveChannelChange?.(frequencyStr);
-                sendJSON(res, 200, { success: true, frequency: frequencyStr });
+        // A spamming mod must not flood the renderer with IPC
+        if (limits) {
+            const rate = limits.take(url);
+            if (!rate.allowed) {
+                res.setHeader("Retry-After", String(rate.retryAfter));
+                sendJSON(res, 429, { error: "Too many requests", retryAfter: rate.retryAfter });
+                return;
             }
-            else if (url === "/ear-side" && req.method === "POST") {
-                const data = await parseJSONBody(req);
-
-                if (typeof data.frequency !== "number" || typeof data.earSide !== "number") {
-                    sendJSON(res, 400, { error: "frequency and earSide must be numbers" });
-                    return;
-                }
-
-                if (![0, 1, 2].includes(data.earSide)) {
-                    sendJSON(res, 400, { error: "earSide must be 0 (left), 1 (right), or 2 (both)" });
-                    return;
-                }
+        }
 
-                const frequencyStr = frequencyToString(data.frequency);
-                callbacks.onEarSideChange?.({ frequency: frequencyStr, earSide: data.earSide });
-                sendJSON(res, 200, { success: true, frequency: frequencyStr, earSide: data.earSide });
-            }
-            else if (url === "/frequency/disconnect" && req.method === "POST") {
-                const data = await parseJSONBody(req);
+        const route = findRoute(req.method, url);
+        if (!route) {
+            sendJSON(res, 404, { error: "Not found" });
+            return;
+        }
 
-                if (typeof data.frequency !== "number") {
-                    sendJSON(res, 400, { error: "frequency must be a number" });
+        try {
+            let data;
+            if (route.schema) {
+                data = await parseJSONBody(req, bodyOptions);
+                const details = validateSchema(data, route.schema);
+                if (details.length > 0) {
+                    log("[HTTP] Invalid body:", req.method, url, details);
+                    const missing = details.find(d => MISSING_MESSAGES.includes(d.message) && route.missingCodes?.[d.field]);
+                    const body = { error: "Invalid request body", details };
+                    if (missing) body.code = route.missingCodes[missing.field];
+                    sendJSON(res, 400, body);
                     return;
                 }
-
-                const frequencyStr = frequencyToString(data.frequency);
-                callbacks.onFrequencyDisconnect?.(frequencyStr);
-                sendJSON(res, 200, { success: true, frequency: frequencyStr });
             }
-            // 404 Not Found
-            else {
-                sendJSON(res, 404, { error: "Not found" });
+            const response = await route.handler({ ...context, req, res }, data);
+            if (response) {
+                sendJSON(res, response.status, response.body);
             }
         } catch (e) {
+            // Body refused by parseJSONBody (too large, wrong Content-Type, too slow)
+            if (e.statusCode) {
+                log("[HTTP] Body rejected:", req.method, url, e.message);
+                limits?.recordBodyError(e.statusCode);
+                sendJSON(res, e.statusCode, { error: e.message });
+                return;
+            }
+            log("[HTTP] Error:", e);
             sendJSON(res, 400, { error: "Invalid JSON" });
         }
     };
 }
 
 module.exports = {
+    AUTH_HEADER,
+    generateAuthToken,
+    getPathname,
+    getRequestToken,
+    isAuthorized,
+    isJSONContentType,
+    isAllowedOrigin,
+    isAllowedHost,
+    validateRequestSource,
     parseJSONBody,
     findFreePort,
-    isValidFrequency,
-    isValidFrequenciesArray,
+    normalizeFrequency,
+    isStalePTTCommand,
     frequencyToString,
     setCORSHeaders,
     sendJSON,
@@ -1,18 +1,24 @@
-const { app, BrowserWindow, ipcMain } = require("electron");
+const { app, BrowserWindow, ipcMain, dialog, shell } = require("electron");
 const path = require("path");
-const http = require("http");
+const { pathToFileURL } = require("url");
 
 // Import modules
-const { loadEnvFile, applyEnv, saveConfig, getDefaultConfigPath } = require("./config.cjs");
+const { loadEnvFile, applyEnv, getEnvNumber, getDefaultConfigPath } = require("./config.cjs");
+const { createBridge, DEFAULT_RECONNECT_GRACE } = require("./bridge.cjs");
+const { createSettingsStore, getDefaultSettingsPath } = require("./settings.cjs");
 const {
-	findFreePort,
-	parseJSONBody,
-	isValidFrequenciesArray,
-	frequencyToString,
-	setCORSHeaders,
-	sendJSON,
-	getConnectionStatus
-} = require("./httpServer.cjs");
+	getOrigin,
+	isNavigationAllowed,
+	isExternalURL,
+	isPermissionAllowed,
+	withLocalPageCSP
+} = require("./windowPolicy.cjs");
+const { createSecretCodeProvider } = require("./secretCode.cjs");
+const { IPC_ACCESS, createIPCPolicy } = require("./ipcPolicy.cjs");
+const { DEFAULT_MAX_BODY_SIZE, DEFAULT_BODY_TIMEOUT } = require("./requestLimits.cjs");
+const { getBandPlanFromEnv } = require("./bandPlan.cjs");
+const { DEFAULT_MAX_TRANSMIT_DURATION, DEFAULT_HEARTBEAT_STALE_TIMEOUT } = require("./pttWatchdog.cjs");
+const { DEFAULT_HEARTBEAT_INTERVAL, DEFAULT_HEARTBEAT_TIMEOUT } = require("./heartbeatPolicy.cjs");
 
 // Charger le fichier .env
 const envPath = path.join(__dirname, "../../.env");
@@ -20,254 +26,118 @@ const envVars = loadEnvFile(envPath);
 applyEnv(envVars);
 
 // Configuration
-let serverURL = null; // Sera défini par DayZ
 const SECRET_CODE = process.env.SECRET_CODE || "dayz";
 const isDev = !app.isPackaged;
+const DEV_SERVER_URL = "http://localhost:3001";
 
 // Config DayZ
 const CONFIG_FILE = getDefaultConfigPath();
+const WAITING_PAGE = path.join(__dirname, "../renderer/waiting.html");
+const WAITING_PAGE_URL = pathToFileURL(WAITING_PAGE).href;
+const SHUTDOWN_TIMEOUT = 3000; // Quitter quand même si l'arrêt propre bloque
+
+// Préférences utilisateur (serveurs VoIP autorisés)
+const settings = createSettingsStore(getDefaultSettingsPath(app.getPath("userData")));
+const pendingServerPrompts = new Map(); // origin -> Promise<boolean>
 
 let mainWindow = null;
-let isPTTPressed = false;
-let httpServer = null;
-let httpPort = null;
-let lastHeartbeat = null;
-let heartbeatCheckInterval = null;
-const HEARTBEAT_TIMEOUT = 30000; // 30 secondes
+let isShuttingDown = false;
 
-// Déconnecter (release PTT si actif + vider la webview)
-function disconnect(reason) {
-	console.log("[HTTP] Disconnect:", reason);
-	
-	// Release PTT si actif
-	if (isPTTPressed && mainWindow) {
-		isPTTPressed = false;
-		mainWindow.webContents.send("ptt:release");
+// Demander à l'utilisateur d'autoriser un nouveau serveur VoIP
+// Une seule fenêtre par serveur, même si le mod renvoie /connect en attendant
+function confirmServer(origin) {
+	if (pendingServerPrompts.has(origin)) {
+		return pendingServerPrompts.get(origin);
 	}
 	
-	// Reset état
-	serverURL = null;
-	lastHeartbeat = null;
+	const options = {
+		type: "question",
+		buttons: ["Autoriser", "Refuser"],
+		defaultId: 1,
+		cancelId: 1,
+		title: "Radio VoIP DayZ",
+		message: "DayZ demande la connexion à un nouveau serveur VoIP",
+		detail: `${origin}\n\nCe serveur aura accès au microphone. N'autorisez que les serveurs de confiance.`
+	};
+	const box = mainWindow ? dialog.showMessageBox(mainWindow, options) : dialog.showMessageBox(options);
 	
-	// Revenir à la page d'attente
-	if (mainWindow) {
-		mainWindow.loadFile(path.join(__dirname, "../renderer/waiting.html"));
-	}
+	const prompt = box.then(({ response }) => response === 0).finally(() => {
+		pendingServerPrompts.delete(origin);
+	});
+	
+	pendingServerPrompts.set(origin, prompt);
+	return prompt;
 }
 
-// Vérifier le heartbeat
-function startHeartbeatCheck() {
-	heartbeatCheckInterval = setInterval(() => {
-		if (lastHeartbeat && serverURL) {
-			const elapsed = Date.now() - lastHeartbeat;
-			if (elapsed > HEARTBEAT_TIMEOUT) {
-				console.log("[Heartbeat] Timeout - pas de heartbeat depuis", elapsed, "ms");
-				disconnect("heartbeat_timeout");
-			}
-		}
-	}, 5000); // Vérifier toutes les 5 secondes
-}
+// La fenêtre Electron vue par le bridge (remplacée par un faux dans les tests)
+const windowAdapter = {
+	isOpen: () => mainWindow !== null,
+	send: (channel, payload) => mainWindow.webContents.send(channel, payload),
+	loadURL: (url) => mainWindow.loadURL(url),
+	loadWaitingPage: () => mainWindow.loadFile(WAITING_PAGE),
+	confirmServer
+};
 
-// Démarrer le serveur HTTP local pour DayZ
-async function startLocalServer() {
-	httpPort = await findFreePort();
+// Serveur HTTP local, session DayZ, heartbeat et watchdog PTT
+const bridge = createBridge({
+	windowAdapter,
+	configPath: CONFIG_FILE,
+	settings,
+	bandPlan: getBandPlanFromEnv(),
+	maxBodySize: getEnvNumber("MAX_BODY_SIZE", DEFAULT_MAX_BODY_SIZE),
+	bodyTimeout: getEnvNumber("BODY_TIMEOUT", DEFAULT_BODY_TIMEOUT),
+	pttMaxDuration: getEnvNumber("PTT_MAX_DURATION", DEFAULT_MAX_TRANSMIT_DURATION),
+	pttHeartbeatStale: getEnvNumber("PTT_HEARTBEAT_STALE", DEFAULT_HEARTBEAT_STALE_TIMEOUT),
+	heartbeatInterval: getEnvNumber("HEARTBEAT_INTERVAL", DEFAULT_HEARTBEAT_INTERVAL),
+	heartbeatTimeout: getEnvNumber("HEARTBEAT_TIMEOUT", DEFAULT_HEARTBEAT_TIMEOUT),
+	reconnectGrace: getEnvNumber("RECONNECT_GRACE", DEFAULT_RECONNECT_GRACE),
+	log: console.log
+});
+
+// Verrouiller la fenêtre : navigation limitée au serveur VoIP, pas de popup, micro uniquement
+function lockDownWindow(window) {
+	const contents = window.webContents;
 	
-	httpServer = http.createServer(async (req, res) => {
-		// CORS headers
-		setCORSHeaders(res, req.headers.origin);
+	const blockNavigation = (event, url) => {
+		if (isNavigationAllowed(url, bridge.getConnectedOrigin())) return;
 		
-		if (req.method === "OPTIONS") {
-			res.writeHead(200);
-			res.end();
-			return;
+		event.preventDefault();
+		console.log("[Window] Navigation blocked:", url);
+		if (isExternalURL(url)) {
+			shell.openExternal(url);
 		}
-
-		const url = req.url;
-		
-		try {
-			// ========================================
-			// PTT Endpoints
-			// ========================================
-			if (url === "/ptt/press" && req.method === "POST") {
-				console.log("[HTTP] PTT Press from DayZ - isPTTPressed:", isPTTPressed, "mainWindow:", !!mainWindow);
-				if (mainWindow && !isPTTPressed) {
-					isPTTPressed = true;
-					console.log("[HTTP] Sending ptt:press to renderer");
-					mainWindow.webContents.send("ptt:press");
-				}
-				sendJSON(res, 200, { success: true });
-				
-			} else if (url === "/ptt/release" && req.method === "POST") {
-				console.log("[HTTP] PTT Release from DayZ - isPTTPressed:", isPTTPressed, "mainWindow:", !!mainWindow);
-				if (mainWindow && isPTTPressed) {
-					isPTTPressed = false;
-					console.log("[HTTP] Sending ptt:release to renderer");
-					mainWindow.webContents.send("ptt:release");
-				}
-				sendJSON(res, 200, { success: true });
-				
-			// ========================================
-			// Status Endpoint
-			// ========================================
-			} else if (url === "/status" && req.method === "GET") {
-				const status = getConnectionStatus(serverURL, mainWindow);
-				sendJSON(res, 200, { 
-					running: true,
-					status: status,
-					pttPressed: isPTTPressed,
-					connected: serverURL !== null,
-					serverURL: serverURL
-				});
-				
-			// ========================================
-			// Connection Endpoints
-			// ========================================
-			} else if (url === "/connect" && req.method === "POST") {
-				const data = await parseJSONBody(req);
-				if (data.url) {
-					serverURL = data.url;
-					lastHeartbeat = Date.now();
-					console.log("[HTTP] Connect to:", serverURL);
-					
-					if (mainWindow) {
-						mainWindow.loadURL(serverURL);
-					}
-					
-					sendJSON(res, 200, { success: true, url: serverURL });
-				} else {
-					sendJSON(res, 400, { error: "Missing url parameter" });
-				}
-				
-			} else if (url === "/disconnect" && req.method === "POST") {
-				disconnect("manual");
-				sendJSON(res, 200, { success: true });
-				
-			} else if (url === "/heartbeat" && req.method === "POST") {
-				lastHeartbeat = Date.now();
-				sendJSON(res, 200, { success: true });
-				
-			// ========================================
-			// Legacy Single Frequency Endpoint
-			// ========================================
-			} else if (url === "/frequency" && req.method === "POST") {
-				const data = await parseJSONBody(req);
-				if (data.frequency !== undefined) {
-					const frequency = frequencyToString(data.frequency);
-					console.log("[HTTP] Frequency change from DayZ:", frequency);
-					
-					if (mainWindow) {
-						mainWindow.webContents.send("frequency:change", frequency);
-					}
-					
-					sendJSON(res, 200, { success: true, frequency: frequency });
-				} else {
-					sendJSON(res, 400, { error: "Missing frequency parameter" });
-				}
-				
-			// ========================================
-			// Multi-Frequency Endpoints
-			// ========================================
-			} else if (url === "/frequencies" && req.method === "POST") {
-				const data = await parseJSONBody(req);
-				
-				if (!Array.isArray(data.frequencies)) {
-					sendJSON(res, 400, { error: "frequencies must be an array" });
-					return;
-				}
-				
-				if (!isValidFrequenciesArray(data.frequencies)) {
-					sendJSON(res, 400, { 
-						error: "Invalid frequency format. Expected: [{frequency: number, earSide: 0|1|2}]" 
-					});
-					return;
-				}
-				
-				const frequenciesWithStrings = data.frequencies.map(f => ({
-					frequency: frequencyToString(f.frequency),
-					earSide: f.earSide
-				}));
-				
-				console.log("[HTTP] Frequencies update from DayZ:", frequenciesWithStrings.length, "frequencies");
-				
-				if (mainWindow) {
-					mainWindow.webContents.send("frequencies:update", frequenciesWithStrings);
-				}
-				
-				sendJSON(res, 200, { success: true, count: frequenciesWithStrings.length });
-				
-			} else if (url === "/active-channel" && req.method === "POST") {
-				const data = await parseJSONBody(req);
-				
-				if (typeof data.frequency !== "number") {
-					sendJSON(res, 400, { error: "frequency must be a number" });
-					return;
-				}
-				
-				const frequencyStr = frequencyToString(data.frequency);
-				console.log("[HTTP] Active channel change from DayZ:", frequencyStr);
-				
-				if (mainWindow) {
-					mainWindow.webContents.send("active-channel:change", frequencyStr);
-				}
-				
-				sendJSON(res, 200, { success: true, frequency: frequencyStr });
-				
-			} else if (url === "/ear-side" && req.method === "POST") {
-				const data = await parseJSONBody(req);
-				
-				if (typeof data.frequency !== "number" || typeof data.earSide !== "number") {
-					sendJSON(res, 400, { error: "frequency and earSide must be numbers" });
-					return;
-				}
-				
-				if (![0, 1, 2].includes(data.earSide)) {
-					sendJSON(res, 400, { error: "earSide must be 0 (left), 1 (right), or 2 (both)" });
-					return;
-				}
-				
-				const frequencyStr = frequencyToString(data.frequency);
-				console.log("[HTTP] Ear side change from DayZ:", frequencyStr, "earSide:", data.earSide);
-				
-				if (mainWindow) {
-					mainWindow.webContents.send("ear-side:change", { frequency: frequencyStr, earSide: data.earSide });
-				}
-				
-				sendJSON(res, 200, { success: true, frequency: frequencyStr, earSide: data.earSide });
-				
-			} else if (url === "/frequency/disconnect" && req.method === "POST") {
-				const data = await parseJSONBody(req);
-				
-				if (typeof data.frequency !== "number") {
-					sendJSON(res, 400, { error: "frequency must be a number" });
-					return;
-				}
-				
-				const frequencyStr = frequencyToString(data.frequency);
-				console.log("[HTTP] Frequency disconnect from DayZ:", frequencyStr);
-				
-				if (mainWindow) {
-					mainWindow.webContents.send("frequency:disconnect", frequencyStr);
-				}
-				
-				sendJSON(res, 200, { success: true, frequency: frequencyStr });
-				
-			// ========================================
-			// 404 Not Found
-			// ========================================
-			} else {
-				sendJSON(res, 404, { error: "Not found" });
-			}
-		} catch (e) {
-			console.error("[HTTP] Error:", e);
-			sendJSON(res, 400, { error: "Invalid JSON" });
+	};
+	
+	// Une redirection serveur (3xx) suit la même règle qu'une navigation
+	contents.on("will-navigate", blockNavigation);
+	contents.on("will-redirect", blockNavigation);
+	
+	// window.open / target="_blank" : jamais de nouvelle fenêtre Electron
+	contents.setWindowOpenHandler(({ url }) => {
+		if (isExternalURL(url)) {
+			shell.openExternal(url);
 		}
+		return { action: "deny" };
 	});
 	
-	httpServer.listen(httpPort, "127.0.0.1", () => {
-		console.log(`Serveur HTTP local démarré sur http://127.0.0.1:${httpPort}`);
-		if (saveConfig(CONFIG_FILE, httpPort)) {
-			console.log(`Config sauvegardée: ${CONFIG_FILE}`);
+	// CSP en en-tête pour les pages locales, en plus de leur balise <meta>
+	contents.session.webRequest.onHeadersReceived({ urls: ["file://*/*"] }, (details, callback) => {
+		callback({ responseHeaders: withLocalPageCSP(details.responseHeaders) });
+	});
+	
+	contents.session.setPermissionRequestHandler((webContents, permission, callback, details) => {
+		const allowed = isPermissionAllowed(permission, details, bridge.getConnectedOrigin());
+		if (!allowed) {
+			console.log("[Window] Permission denied:", permission, details.requestingUrl);
 		}
+		callback(allowed);
+	});
+	
+	contents.session.setPermissionCheckHandler((webContents, permission, requestingOrigin, details) => {
+		return isPermissionAllowed(permission, {
+			requestingUrl: requestingOrigin,
+			mediaTypes: details.mediaType === "video" ? ["video"] : []
+		}, bridge.getConnectedOrigin());
 	});
 }
 
@@ -290,28 +160,47 @@ function createWindow() {
 		backgroundColor: "#0d0d1a",
 	});
 
+	lockDownWindow(mainWindow);
+	
 	if (isDev) {
-		mainWindow.loadURL("http://localhost:3001");
+		bridge.setConnectedOrigin(getOrigin(DEV_SERVER_URL));
+		mainWindow.loadURL(DEV_SERVER_URL);
 		mainWindow.webContents.openDevTools();
-	} else if (serverURL) {
-		mainWindow.loadURL(serverURL);
+	} else if (bridge.state.serverURL) {
+		mainWindow.loadURL(bridge.state.serverURL);
 	} else {
-		mainWindow.loadFile(path.join(__dirname, "../renderer/waiting.html"));
+		mainWindow.loadFile(WAITING_PAGE);
 	}
 
 	mainWindow.webContents.on("did-finish-load", () => {
-		mainWindow.webContents.executeJavaScript(`window.SECRET_CODE = "${SECRET_CODE}";`);
+		bridge.replayState();
+	});
+
+	// La page quitte (rechargement, navigation) : le PTT tenu par l'ancienne page n'existe plus
+	mainWindow.webContents.on("did-start-navigation", (details) => {
+		if (details.isMainFrame && !details.isSameDocument) {
+			bridge.releasePTT("navigation");
+		}
+	});
+
+	mainWindow.webContents.on("render-process-gone", (event, details) => {
+		bridge.handleRendererGone(details);
+	});
+
+	// La page est encore là : le client web quitte ses canaux avant la fermeture
+	mainWindow.on("close", () => {
+		bridge.leaveChannels();
 	});
 
 	mainWindow.on("closed", () => {
 		mainWindow = null;
+		bridge.releasePTT("window_closed");
 	});
 }
 
 app.whenReady().then(async () => {
-	await startLocalServer();
+	await bridge.start();
 	createWindow();
-	startHeartbeatCheck();
 
 	app.on("activate", () => {
 		if (BrowserWindow.getAllWindows().length === 0) {
@@ -320,13 +209,26 @@ app.whenReady().then(async () => {
 	});
 });
 
-app.on("will-quit", () => {
-	if (httpServer) {
-		httpServer.close();
-	}
-	if (heartbeatCheckInterval) {
-		clearInterval(heartbeatCheckInterval);
-	}
+// Arrêt propre : PTT relâché, session terminée, config.json supprimé, serveur fermé
+// Le mod ne doit pas continuer à envoyer ses requêtes vers un port mort
+// Au-delà de SHUTDOWN_TIMEOUT on quitte quand même (ex. connexion qui empêche le serveur de fermer)
+app.on("will-quit", (event) => {
+	if (isShuttingDown) return;
+	isShuttingDown = true;
+	event.preventDefault();
+	
+	let timer;
+	const timeout = new Promise((resolve) => {
+		timer = setTimeout(() => {
+			console.log("[Shutdown] Timed out, quitting anyway");
+			resolve();
+		}, SHUTDOWN_TIMEOUT);
+	});
+	
+	Promise.race([bridge.shutdown(), timeout]).finally(() => {
+		clearTimeout(timer);
+		app.quit();
+	});
 });
 
 app.on("window-all-closed", () => {
@@ -336,15 +238,28 @@ app.on("window-all-closed", () => {
 });
 
 // IPC handlers
-ipcMain.handle("get-server-url", () => serverURL);
-ipcMain.handle("get-http-port", () => httpPort);
+// Chaque canal vérifie l'expéditeur : page d'attente locale ou serveur VoIP connecté, jamais une iframe
+const ipc = createIPCPolicy(ipcMain, () => ({
+	localPageURL: WAITING_PAGE_URL,
+	connectedOrigin: bridge.getConnectedOrigin()
+}));
+
+ipc.handle("get-server-url", IPC_ACCESS.APP, () => bridge.state.serverURL);
+ipc.handle("get-http-port", IPC_ACCESS.APP, () => bridge.getPort());
+ipc.handle("get-state", IPC_ACCESS.APP, () => bridge.getState());
+
+// Code secret du modal : seulement son hash, seulement pour la page d'attente
+ipc.handle("get-secret-code", IPC_ACCESS.LOCAL, createSecretCodeProvider(SECRET_CODE, WAITING_PAGE_URL));
+
+// Connexion manuelle depuis le modal de la page d'attente
+ipc.handle("manual-connect", IPC_ACCESS.LOCAL, (event, url) => bridge.manualConnect(url));
 
 // Window controls
-ipcMain.on("window-minimize", () => {
+ipc.on("window-minimize", IPC_ACCESS.APP, () => {
 	if (mainWindow) mainWindow.minimize();
 });
 
-ipcMain.on("window-maximize", () => {
+ipc.on("window-maximize", IPC_ACCESS.APP, () => {
 	if (mainWindow) {
 		if (mainWindow.isMaximized()) {
 			mainWindow.unmaximize();
@@ -354,6 +269,6 @@ ipcMain.on("window-maximize", () => {
 	}
 });
 
-ipcMain.on("window-close", () => {
+ipc.on("window-close", IPC_ACCESS.APP, () => {
 	if (mainWindow) mainWindow.close();
 });
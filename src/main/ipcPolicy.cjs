@@ -0,0 +1,87 @@
+/**
+ * IPC policy module for Radio VoIP DayZ
+ * Checks who sent an IPC message before the main process acts on it
+ */
+
+const { getOrigin } = require("./windowPolicy.cjs");
+
+/**
+ * Who may use an IPC channel
+ * LOCAL: the local waiting page only
+ * APP: the local waiting page or the connected VoIP server
+ */
+const IPC_ACCESS = {
+    LOCAL: "local",
+    APP: "app"
+};
+
+/**
+ * Check the frame that sent an IPC message
+ * Iframes are always refused, whatever their origin
+ * @param {object} event - ipcMain event
+ * @param {string} access - One of IPC_ACCESS
+ * @param {object} context
+ * @param {string} context.localPageURL - file:// URL of waiting.html
+ * @param {string|null} context.connectedOrigin - Origin of the connected VoIP server
+ * @returns {boolean}
+ */
+function isSenderAllowed(event, access, context) {
+    const frame = event?.senderFrame;
+    if (!frame || frame.parent) {
+        return false;
+    }
+    if (frame.url === context.localPageURL) {
+        return true;
+    }
+    if (access !== IPC_ACCESS.APP || !context.connectedOrigin) {
+        return false;
+    }
+    return getOrigin(frame.url) === context.connectedOrigin;
+}
+
+/**
+ * Create an ipcMain wrapper that drops messages from unknown senders
+ * @param {object} ipcMain - Electron ipcMain
+ * @param {function(): object} getContext - Returns the current { localPageURL, connectedOrigin }
+ * @param {function} [log] - Called with the rejected channel and sender URL
+ * @returns {{handle: function, on: function}}
+ */
+function createIPCPolicy(ipcMain, getContext, log = console.log) {
+    function guard(channel, access, listener, rejectedValue) {
+        return (event, ...args) => {
+            if (!isSenderAllowed(event, access, getContext())) {
+                log("[IPC] Rejected", channel, "from", event?.senderFrame?.url ?? "unknown sender");
+                return rejectedValue;
+            }
+            return listener(event, ...args);
+        };
+    }
+
+    return {
+        /**
+         * ipcMain.handle with a sender check, refused invokes resolve to null
+         * @param {string} channel
+         * @param {string} access - One of IPC_ACCESS
+         * @param {function} listener
+         */
+        handle(channel, access, listener) {
+            ipcMain.handle(channel, guard(channel, access, listener, null));
+        },
+
+        /**
+         * ipcMain.on with a sender check, refused messages are dropped
+         * @param {string} channel
+         * @param {string} access - One of IPC_ACCESS
+         * @param {function} listener
+         */
+        on(channel, access, listener) {
+            ipcMain.on(channel, guard(channel, access, listener, undefined));
+        }
+    };
+}
+
+module.exports = {
+    IPC_ACCESS,
+    isSenderAllowed,
+    createIPCPolicy
+};
@@ -0,0 +1,120 @@
+/**
+ * OpenAPI module for Radio VoIP DayZ
+ * Builds the document served at GET /openapi.json from the route table
+ */
+
+const { AUTH_HEADER } = require("./config.cjs");
+const { APP_VERSION, API_PREFIX } = require("./capabilities.cjs");
+
+const OPENAPI_VERSION = "3.0.3";
+
+const ERROR_SCHEMA = {
+    type: "object",
+    properties: {
+        error: { type: "string" },
+        details: {
+            type: "array",
+            description: "Field-level problems for invalid bodies and frequencies outside the band plan",
+            items: {
+                type: "object",
+                properties: {
+                    field: { type: "string", description: "Path of the field, frequencies[0].earSide" },
+                    message: { type: "string" }
+                },
+                required: ["field", "message"]
+            }
+        },
+        code: { type: "string" }
+    },
+    required: ["error"]
+};
+
+function errorResponse(description) {
+    return {
+        description,
+        content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } }
+    };
+}
+
+/**
+ * Build the OpenAPI operation of a route
+ * @param {object} route - Entry of ROUTES
+ * @returns {object}
+ */
+function createOperation(route) {
+    const operation = {
+        summary: route.summary,
+        responses: {
+            200: { description: "Success" },
+            401: errorResponse(`Missing or wrong ${AUTH_HEADER} header`),
+            403: errorResponse("Host or Origin header is not loopback"),
+            429: errorResponse("Too many requests, see the Retry-After header")
+        }
+    };
+
+    if (route.schema) {
+        // Bodies without required fields may be left out (PTT commands of older mods)
+        operation.requestBody = {
+            required: (route.schema.required || []).length > 0,
+            content: { "application/json": { schema: route.schema } }
+        };
+        operation.responses[400] = errorResponse("Invalid body");
+        operation.responses[413] = errorResponse("Body too large");
+        operation.responses[415] = errorResponse("Content-Type is not application/json");
+    }
+
+    // Statuses the handler returns itself, added to the ones above when they share a status
+    Object.entries(route.responses || {}).forEach(([status, description]) => {
+        if (status === "200") {
+            operation.responses[200] = { description };
+            return;
+        }
+        const shared = operation.responses[status]?.description;
+        operation.responses[status] = errorResponse(shared ? `${shared}; ${description}` : description);
+    });
+    return operation;
+}
+
+/**
+ * Build the OpenAPI document of a route table, paths carry the API version prefix
+ * @param {object[]} routes - ROUTES
+ * @param {object} [options]
+ * @param {number} [options.port] - Listening port, added as server URL
+ * @returns {object}
+ */
+function createOpenAPIDocument(routes, options = {}) {
+    const paths = {};
+    routes.forEach(route => {
+        const path = API_PREFIX + route.path;
+        paths[path] = paths[path] || {};
+        paths[path][route.method.toLowerCase()] = createOperation(route);
+    });
+
+    const document = {
+        openapi: OPENAPI_VERSION,
+        info: {
+            title: "Radio VoIP DayZ local API",
+            description: "HTTP API the DayZ mod uses to drive the Radio VoIP app. Port and token are read from config.json. " +
+                `Every path is also served without the ${API_PREFIX} prefix.`,
+            version: APP_VERSION
+        },
+        security: [{ radioToken: [] }],
+        paths,
+        components: {
+            securitySchemes: {
+                radioToken: { type: "apiKey", in: "header", name: AUTH_HEADER }
+            },
+            schemas: { Error: ERROR_SCHEMA }
+        }
+    };
+
+    if (options.port) {
+        document.servers = [{ url: `http://127.0.0.1:${options.port}` }];
+    }
+    return document;
+}
+
+module.exports = {
+    OPENAPI_VERSION,
+    createOpenAPIDocument
+};
@@ -0,0 +1,38 @@
+/**
+ * PTT watchdog module for Radio VoIP DayZ
+ * Detects a PTT left pressed (missed /ptt/release, DayZ crash)
+ */
+
+const DEFAULT_MAX_TRANSMIT_DURATION = 60000; // 60 secondes
+const DEFAULT_HEARTBEAT_STALE_TIMEOUT = 15000; // 15 secondes
+
+/**
+ * Get the reason PTT must be auto-released, if any
+ * @param {object} state
+ * @param {boolean} state.isPTTPressed
+ * @param {number|null} state.pttPressedAt - Timestamp of the press
+ * @param {number|null} state.lastHeartbeat - Timestamp of the last heartbeat
+ * @param {object} options
+ * @param {number} options.maxTransmitDuration - Maximum time PTT may stay pressed (ms)
+ * @param {number} options.heartbeatStaleTimeout - Release PTT when no heartbeat for this long (ms)
+ * @param {number} [now]
+ * @returns {string|null} - "max_duration", "heartbeat_stale" or null
+ */
+function getAutoReleaseReason(state, options, now = Date.now()) {
+    if (!state.isPTTPressed) {
+        return null;
+    }
+    if (state.pttPressedAt && now - state.pttPressedAt > options.maxTransmitDuration) {
+        return "max_duration";
+    }
+    if (state.lastHeartbeat && now - state.lastHeartbeat > options.heartbeatStaleTimeout) {
+        return "heartbeat_stale";
+    }
+    return null;
+}
+
+module.exports = {
+    DEFAULT_MAX_TRANSMIT_DURATION,
+    DEFAULT_HEARTBEAT_STALE_TIMEOUT,
+    getAutoReleaseReason
+};
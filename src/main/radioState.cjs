@@ -0,0 +1,166 @@
+/**
+ * Radio state module for Radio VoIP DayZ
+ * Keeps the authoritative list of tuned frequencies in the main process
+ */
+
+const DEFAULT_VOLUME = 100;
+
+/**
+ * Create a radio state store
+ * Frequencies are stored as strings (see frequencyToString)
+ * @returns {object}
+ */
+function createRadioState() {
+    let frequencies = []; // [{ frequency: "45.3", earSide: 0, volume: 100, muted: false }]
+    let activeChannel = null;
+    let muted = false; // Global mute
+
+    function findFrequency(frequency) {
+        return frequencies.find(f => f.frequency === frequency);
+    }
+
+    return {
+        /**
+         * Replace the tuned frequency list
+         * Clears the active channel if it is no longer tuned
+         * @param {Array<{frequency: string, earSide: number, volume?: number, muted?: boolean}>} list
+         */
+        setFrequencies(list) {
+            frequencies = list.map(f => ({
+                frequency: f.frequency,
+                earSide: f.earSide,
+                volume: f.volume ?? DEFAULT_VOLUME,
+                muted: f.muted ?? false
+            }));
+            if (activeChannel !== null && !findFrequency(activeChannel)) {
+                activeChannel = null;
+            }
+        },
+
+        /**
+         * @param {string} frequency
+         * @returns {boolean}
+         */
+        hasFrequency(frequency) {
+            return findFrequency(frequency) !== undefined;
+        },
+
+        /**
+         * Set the active TX channel
+         * @param {string|null} frequency - null clears it
+         * @returns {boolean} - False if the frequency is not tuned
+         */
+        setActiveChannel(frequency) {
+            if (frequency !== null && !findFrequency(frequency)) return false;
+            activeChannel = frequency;
+            return true;
+        },
+
+        /**
+         * Change the ear side of a tuned frequency
+         * @param {string} frequency
+         * @param {number} earSide
+         * @returns {boolean} - False if the frequency is not tuned
+         */
+        setEarSide(frequency, earSide) {
+            const entry = findFrequency(frequency);
+            if (!entry) return false;
+            entry.earSide = earSide;
+            return true;
+        },
+
+        /**
+         * Change the volume of a tuned frequency
+         * @param {string} frequency
+         * @param {number} volume - 0 to 100
+         * @returns {boolean} - False if the frequency is not tuned
+         */
+        setVolume(frequency, volume) {
+            const entry = findFrequency(frequency);
+            if (!entry) return false;
+            entry.volume = volume;
+            return true;
+        },
+
+        /**
+         * Mute or unmute a tuned frequency
+         * @param {string} frequency
+         * @param {boolean} value
+         * @returns {boolean} - False if the frequency is not tuned
+         */
+        setMuted(frequency, value) {
+            const entry = findFrequency(frequency);
+            if (!entry) return false;
+            entry.muted = value;
+            return true;
+        },
+
+        /**
+         * Mute or unmute every frequency
+         * @param {boolean} value
+         */
+        setGlobalMuted(value) {
+            muted = value;
+        },
+
+        /**
+         * @returns {boolean}
+         */
+        isGlobalMuted() {
+            return muted;
+        },
+
+        /**
+         * Leave a frequency
+         * @param {string} frequency
+         * @returns {boolean} - False if the frequency is not tuned
+         */
+        removeFrequency(frequency) {
+            if (!findFrequency(frequency)) return false;
+            frequencies = frequencies.filter(f => f.frequency !== frequency);
+            if (activeChannel === frequency) {
+                activeChannel = null;
+            }
+            return true;
+        },
+
+        /**
+         * @returns {Array<{frequency: string, earSide: number, volume: number, muted: boolean}>}
+         */
+        getFrequencies() {
+            return frequencies.map(f => ({ ...f }));
+        },
+
+        /**
+         * @returns {string|null}
+         */
+        getActiveChannel() {
+            return activeChannel;
+        },
+
+        /**
+         * @returns {{frequencies: Array, activeChannel: string|null, muted: boolean}}
+         */
+        getSnapshot() {
+            return {
+                frequencies: this.getFrequencies(),
+                activeChannel: activeChannel,
+                muted: muted
+            };
+        },
+
+        /**
+         * Forget every frequency (e.g. on disconnect)
+         */
+        reset() {
+            frequencies = [];
+            activeChannel = null;
+            muted = false;
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_VOLUME,
+    createRadioState
+};
@@ -0,0 +1,139 @@
+/**
+ * Request limits module for Radio VoIP DayZ
+ * Body size / read timeout defaults and per-route rate limiting for the local HTTP server
+ */
+
+const DEFAULT_MAX_BODY_SIZE = 16 * 1024; // 16 Ko, largement assez pour 16 fréquences
+const DEFAULT_BODY_TIMEOUT = 5000; // 5 secondes
+
+/**
+ * Token buckets per route, "*" applies to routes without their own entry
+ * /frequencies and /frequency are lower: each accepted call sends IPC to the renderer
+ */
+const DEFAULT_RATE_LIMITS = {
+    "*": { capacity: 30, refillPerSecond: 15 },
+    "/frequencies": { capacity: 5, refillPerSecond: 2 },
+    "/frequency": { capacity: 5, refillPerSecond: 2 }
+};
+
+/**
+ * Routes never rate limited: they only stop things, refusing them would leave PTT keyed or a session open
+ */
+const UNLIMITED_ROUTES = new Set(["/ptt/release", "/disconnect"]);
+
+// Above this many routes, unknown paths share the "*" bucket (random 404 paths can't grow the map)
+const MAX_BUCKETS = 64;
+
+/**
+ * Create a token bucket
+ * @param {number} capacity - Maximum burst
+ * @param {number} refillPerSecond - Tokens added back per second
+ * @param {function(): number} [now]
+ * @returns {{take: function(): boolean, getRetryAfter: function(): number}}
+ */
+function createTokenBucket(capacity, refillPerSecond, now = Date.now) {
+    let tokens = capacity;
+    let lastRefill = now();
+
+    function refill() {
+        const current = now();
+        tokens = Math.min(capacity, tokens + (current - lastRefill) * refillPerSecond / 1000);
+        lastRefill = current;
+    }
+
+    return {
+        /**
+         * Take one token
+         * @returns {boolean} - False if the bucket is empty
+         */
+        take() {
+            refill();
+            if (tokens < 1) return false;
+            tokens -= 1;
+            return true;
+        },
+
+        /**
+         * @returns {number} - Seconds until a token is available
+         */
+        getRetryAfter() {
+            refill();
+            return tokens >= 1 ? 0 : Math.ceil((1 - tokens) / refillPerSecond);
+        }
+    };
+}
+
+/**
+ * Create the request limits of an HTTP server: rate limit buckets and rejection counters
+ * @param {object} [options]
+ * @param {object} [options.rateLimits] - Route -> { capacity, refillPerSecond }, see DEFAULT_RATE_LIMITS
+ * @param {function(): number} [options.now]
+ * @returns {object}
+ */
+function createRequestLimits(options = {}) {
+    const rateLimits = { ...DEFAULT_RATE_LIMITS, ...options.rateLimits };
+    const now = options.now || Date.now;
+    const buckets = new Map();
+    const rateLimited = {}; // route -> 429 count
+    const bodyErrors = { bodyTooLarge: 0, unsupportedMediaType: 0, bodyTimeout: 0 };
+
+    function getBucketKey(route) {
+        if (buckets.has(route) || rateLimits[route] || buckets.size < MAX_BUCKETS) {
+            return route;
+        }
+        return "*";
+    }
+
+    return {
+        /**
+         * Take a token for a route
+         * @param {string} route - Request pathname
+         * @returns {{allowed: boolean, retryAfter?: number}}
+         */
+        take(route) {
+            if (UNLIMITED_ROUTES.has(route)) {
+                return { allowed: true };
+            }
+
+            const key = getBucketKey(route);
+            if (!buckets.has(key)) {
+                const limit = rateLimits[key] || rateLimits["*"];
+                buckets.set(key, createTokenBucket(limit.capacity, limit.refillPerSecond, now));
+            }
+
+            const bucket = buckets.get(key);
+            if (bucket.take()) {
+                return { allowed: true };
+            }
+            rateLimited[key] = (rateLimited[key] || 0) + 1;
+            return { allowed: false, retryAfter: bucket.getRetryAfter() };
+        },
+
+        /**
+         * Count a body rejected by parseJSONBody
+         * @param {number} statusCode - 413, 415 or 408
+         */
+        recordBodyError(statusCode) {
+            if (statusCode === 413) bodyErrors.bodyTooLarge++;
+            else if (statusCode === 415) bodyErrors.unsupportedMediaType++;
+            else if (statusCode === 408) bodyErrors.bodyTimeout++;
+        },
+
+        /**
+         * Counters reported by /status
+         * @returns {{rateLimited: object, bodyTooLarge: number, unsupportedMediaType: number, bodyTimeout: number}}
+         */
+        getStats() {
+            return { rateLimited: { ...rateLimited }, ...bodyErrors };
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_MAX_BODY_SIZE,
+    DEFAULT_BODY_TIMEOUT,
+    DEFAULT_RATE_LIMITS,
+    UNLIMITED_ROUTES,
+    createTokenBucket,
+    createRequestLimits
+};
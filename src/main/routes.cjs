@@ -0,0 +1,576 @@
+/**
+ * Routes module for Radio VoIP DayZ
+ * Declarative route table served by createRequestHandler, in the app and in the tests
+ */
+
+const { validateFrequency, validateFrequencyList } = require("./bandPlan.cjs");
+const { CONNECT_ERRORS, authorizeServerURL } = require("./serverPolicy.cjs");
+const { getConnectionStatus, restoreConnection, endSession } = require("./session.cjs");
+const { createOpenAPIDocument } = require("./openapi.cjs");
+const { getCapabilities } = require("./capabilities.cjs");
+const { resyncState } = require("./stateSync.cjs");
+const { resolveHeartbeatPolicy, getHeartbeatOverrides, createHeartbeatStats } = require("./heartbeatPolicy.cjs");
+const { normalizeFrequency, isStalePTTCommand, frequencyToString } = require("./validation.cjs");
+
+/**
+ * Routes with a schema get their JSON body parsed and validated before the handler runs
+ * missingCodes maps a required field to the error code sent when it is missing or empty
+ * responses lists the statuses the handler returns (status -> description) for /openapi.json
+ * Handlers get a context and that body and return { status, body },
+ * or nothing when they answered themselves (SSE)
+ *
+ * Context: { req, res, state, callbacks, emit, events, bandPlan, settings, limits, heartbeatDefaults, port, now, log }
+ */
+
+// Band plan limits come from the environment, they are checked by the handlers
+const FREQUENCY = { type: "number", description: "Frequency, must match the band plan (range and step)" };
+const EAR_SIDE = { type: "integer", enum: [0, 1, 2], description: "0 left, 1 right, 2 both" };
+const VOLUME = { type: "number", minimum: 0, maximum: 100 };
+
+const FREQUENCY_LIST = {
+    type: "array",
+    items: {
+        type: "object",
+        properties: {
+            frequency: FREQUENCY,
+            earSide: EAR_SIDE,
+            volume: VOLUME,
+            muted: { type: "boolean" }
+        },
+        required: ["frequency", "earSide"]
+    }
+};
+
+const PTT_SCHEMA = {
+    type: "object",
+    properties: {
+        seq: { type: "integer", minimum: 0, description: "Increasing sequence number, older commands are ignored" },
+        timestamp: { type: "number", description: "Time the mod sent the command (ms)" },
+        frequencies: {
+            type: "array",
+            minItems: 1,
+            items: FREQUENCY,
+            description: "Press only: transmit on these tuned frequencies instead of the active channel"
+        }
+    }
+};
+
+// Statuses of the handlers checking frequencies, see responses
+const BAND_PLAN_RESPONSES = { 400: "Frequency outside the band plan" };
+const TUNED_FREQUENCY_RESPONSES = {
+    ...BAND_PLAN_RESPONSES,
+    409: "Frequency is not tuned (set it with /frequencies first)"
+};
+
+function ok(body = {}) {
+    return { status: 200, body: { success: true, ...body } };
+}
+
+function badRequest(error, details) {
+    return { status: 400, body: details ? { error, details } : { error } };
+}
+
+/**
+ * Validate a frequency sent by the mod and convert it to its renderer string
+ * Band plan problems are reported as { field, message } like schema errors
+ * @param {object} ctx
+ * @param {number} value - The "frequency" field of the body
+ * @returns {{frequency: string}|{response: object}}
+ */
+function parseFrequency(ctx, value) {
+    const error = validateFrequency(value, ctx.bandPlan);
+    if (error) {
+        return { response: badRequest("Invalid frequency", [{ field: "frequency", message: error }]) };
+    }
+    return { frequency: frequencyToString(value, ctx.bandPlan) };
+}
+
+/**
+ * Validate the radio snapshot of a heartbeat and convert its frequencies to renderer strings
+ * @param {object} ctx
+ * @param {object} snapshot - { frequencies?, activeChannel?, pttPressed? } as sent by the mod
+ * @returns {{snapshot: object}|{response: object}}
+ */
+function parseSnapshot(ctx, snapshot) {
+    const errors = snapshot.frequencies ? validateFrequencyList(snapshot.frequencies, ctx.bandPlan, "state.frequencies") : [];
+    if (snapshot.activeChannel != null) {
+        const error = validateFrequency(snapshot.activeChannel, ctx.bandPlan);
+        if (error) errors.push({ field: "state.activeChannel", message: error });
+    }
+    if (errors.length > 0) {
+        return { response: badRequest("Invalid frequencies", errors) };
+    }
+
+    const toString = (f) => frequencyToString(f, ctx.bandPlan);
+    return {
+        snapshot: {
+            frequencies: snapshot.frequencies?.map(f => ({
+                frequency: toString(f.frequency),
+                earSide: f.earSide,
+                volume: f.volume,
+                muted: f.muted
+            })),
+            activeChannel: snapshot.activeChannel == null ? snapshot.activeChannel : toString(snapshot.activeChannel),
+            pttPressed: snapshot.pttPressed
+        }
+    };
+}
+
+function notTuned(ctx, frequency) {
+    ctx.log("[HTTP] Rejected, frequency not tuned:", frequency);
+    return { status: 409, body: { error: `Frequency ${frequency} is not tuned` } };
+}
+
+function handlePTT(ctx, data, pressed) {
+    const { state } = ctx;
+
+    // A release handled before its press must not be undone by the late press
+    if (isStalePTTCommand(data.seq, state.pttSequence)) {
+        ctx.log("[HTTP] Stale PTT command ignored, seq:", data.seq, "last:", state.pttSequence);
+        return ok({ stale: true, lastSeq: state.pttSequence });
+    }
+
+    // No transmit while the heartbeat is late, the mod may not know the player let go
+    if (pressed && state.reconnectingSince != null) {
+        ctx.log("[HTTP] PTT rejected, reconnecting");
+        return { status: 409, body: { error: "Reconnecting, PTT is blocked until the heartbeat resumes" } };
+    }
+
+    // Multi-channel transmit: every frequency must be tuned
+    let txFrequencies = null;
+    if (pressed && data.frequencies !== undefined) {
+        const frequencyErrors = data.frequencies
+            .map((f, index) => {
+                const error = validateFrequency(f, ctx.bandPlan);
+                return error && { field: `frequencies[${index}]`, message: error };
+            })
+            .filter(Boolean);
+        if (frequencyErrors.length > 0) {
+            return badRequest("Invalid frequencies", frequencyErrors);
+        }
+
+        txFrequencies = [...new Set(data.frequencies.map(f => frequencyToString(f, ctx.bandPlan)))];
+        const missing = txFrequencies.filter(f => !state.radio.hasFrequency(f));
+        if (missing.length > 0) {
+            ctx.log("[HTTP] PTT rejected, frequencies not tuned:", missing);
+            return { status: 409, body: { error: `Frequencies not tuned: ${missing.join(", ")}` } };
+        }
+    }
+
+    if (data.seq !== undefined) {
+        state.pttSequence = data.seq;
+        state.pttTimestamp = data.timestamp ?? null;
+    }
+
+    ctx.log(`[HTTP] PTT ${pressed ? "Press" : "Release"} from DayZ - isPTTPressed:`, state.isPTTPressed,
+        "mainWindow:", !!state.mainWindow, "seq:", data.seq);
+    if (pressed) {
+        if (state.mainWindow && !state.isPTTPressed) {
+            state.isPTTPressed = true;
+            state.pttPressedAt = ctx.now();
+            state.pttFrequencies = txFrequencies;
+            ctx.emit("ptt:press", txFrequencies ? { frequencies: txFrequencies } : undefined);
+        }
+    } else if (state.mainWindow && state.isPTTPressed) {
+        state.isPTTPressed = false;
+        state.pttPressedAt = null;
+        state.pttFrequencies = null;
+        ctx.emit("ptt:release");
+    }
+    return ok();
+}
+
+const ROUTES = [
+    // PTT
+    {
+        method: "POST",
+        path: "/ptt/press",
+        summary: "Press PTT",
+        schema: PTT_SCHEMA,
+        responses: {
+            ...BAND_PLAN_RESPONSES,
+            409: "RECONNECTING, or frequencies not tuned"
+        },
+        handler: (ctx, data) => handlePTT(ctx, data, true)
+    },
+    {
+        method: "POST",
+        path: "/ptt/release",
+        summary: "Release PTT",
+        schema: PTT_SCHEMA,
+        handler: (ctx, data) => handlePTT(ctx, data, false)
+    },
+
+    // Event stream
+    {
+        method: "GET",
+        path: "/events",
+        summary: "Server-Sent Events stream of state changes",
+        responses: {
+            200: "text/event-stream of state changes",
+            404: "Event stream not available"
+        },
+        handler: (ctx) => {
+            if (!ctx.events) {
+                return { status: 404, body: { error: "Not found" } };
+            }
+            ctx.log("[HTTP] SSE client connected");
+            ctx.events.addClient(ctx.res);
+        }
+    },
+
+    // Status
+    {
+        method: "GET",
+        path: "/status",
+        summary: "App status: connection, PTT, tuned frequencies, request limit counters",
+        handler: ({ state, limits }) => ({
+            status: 200,
+            body: {
+                running: true,
+                status: getConnectionStatus(state.serverURL, state.mainWindow, state.reconnectingSince ?? null),
+                pttPressed: state.isPTTPressed,
+                pttFrequencies: state.pttFrequencies || null,
+                pttAutoRelease: state.pttAutoRelease || null,
+                pttSequence: state.pttSequence ?? null,
+                pttTimestamp: state.pttTimestamp ?? null,
+                connected: state.serverURL !== null,
+                reconnectingSince: state.reconnectingSince ?? null,
+                heartbeatPolicy: state.heartbeatPolicy || null,
+                heartbeatStats: state.heartbeatStats ? state.heartbeatStats.getStats() : null,
+                serverURL: state.serverURL,
+                frequencies: state.radio.getFrequencies(),
+                activeChannel: state.radio.getActiveChannel(),
+                muted: state.radio.isGlobalMuted(),
+                requestLimits: limits ? limits.getStats() : null
+            }
+        })
+    },
+
+    // Connection
+    {
+        method: "POST",
+        path: "/connect",
+        summary: "Load a VoIP server in the app window",
+        schema: {
+            type: "object",
+            properties: {
+                url: { type: "string", minLength: 1, description: "http(s) URL of the VoIP server" },
+                heartbeatInterval: {
+                    type: "number",
+                    minimum: 0,
+                    description: "How often the mod sends /heartbeat (ms), clamped to 1000-30000"
+                },
+                heartbeatTimeout: {
+                    type: "number",
+                    minimum: 0,
+                    description: "RECONNECTING after this long without heartbeat (ms), clamped to 5000-120000"
+                }
+            },
+            required: ["url"]
+        },
+        missingCodes: { url: CONNECT_ERRORS.MISSING_URL },
+        responses: {
+            202: "Waiting for the user to allow the server, send /connect again (code SERVER_PENDING)",
+            400: "url missing or invalid (codes MISSING_URL, INVALID_URL, UNSUPPORTED_PROTOCOL)",
+            403: "Server not allowed or refused by the user (codes SERVER_NOT_ALLOWED, SERVER_REFUSED)"
+        },
+        handler: async (ctx, data) => {
+            const { state } = ctx;
+            const decision = await authorizeServerURL(data.url, ctx.settings, ctx.callbacks.confirmServer, { log: ctx.log });
+            if (!decision.allowed) {
+                ctx.log("[HTTP] Connect refused:", data.url, decision.code);
+                return { status: decision.status, body: { error: decision.error, code: decision.code } };
+            }
+
+            state.serverURL = data.url;
+            state.lastHeartbeat = ctx.now();
+            state.reconnectingSince = null;
+            // The user settings win over the policy asked by the mod
+            state.heartbeatPolicy = resolveHeartbeatPolicy(
+                { interval: data.heartbeatInterval, timeout: data.heartbeatTimeout },
+                getHeartbeatOverrides(ctx.settings),
+                ctx.heartbeatDefaults
+            );
+            state.heartbeatStats = createHeartbeatStats();
+            // New session: the mod restarts its sequence numbers
+            state.pttSequence = null;
+            state.pttTimestamp = null;
+            ctx.log("[HTTP] Connect to:", data.url, "heartbeat:", state.heartbeatPolicy);
+            ctx.callbacks.onConnect?.(data.url);
+            ctx.emit("connection:connect", { url: data.url });
+            const response = { url: state.serverURL, heartbeat: state.heartbeatPolicy };
+            if (decision.saved === false) {
+                response.warning = "Server allowed until the app restarts, settings.json could not be saved";
+            }
+            return ok(response);
+        }
+    },
+    {
+        method: "POST",
+        path: "/disconnect",
+        summary: "Disconnect and return to the waiting page",
+        handler: (ctx) => {
+            ctx.log("[HTTP] Disconnect: manual");
+            endSession(ctx.state, "manual", ctx.emit);
+            ctx.callbacks.onDisconnect?.("manual");
+            return ok();
+        }
+    },
+    {
+        method: "POST",
+        path: "/heartbeat",
+        summary: "Keep-alive, the app is RECONNECTING after the heartbeat timeout and disconnects after the grace period",
+        responses: BAND_PLAN_RESPONSES,
+        schema: {
+            type: "object",
+            properties: {
+                timestamp: { type: "number", description: "Time the mod sent the heartbeat (ms), for latency stats" },
+                state: {
+                    type: "object",
+                    description: "The mod's view of the radio, the app corrects its own state to match",
+                    properties: {
+                        frequencies: FREQUENCY_LIST,
+                        activeChannel: { ...FREQUENCY, nullable: true },
+                        pttPressed: { type: "boolean" }
+                    }
+                }
+            }
+        },
+        handler: (ctx, data) => {
+            const { state, emit, log } = ctx;
+            let snapshot = null;
+            if (data.state) {
+                const parsed = parseSnapshot(ctx, data.state);
+                if (parsed.response) return parsed.response;
+                snapshot = parsed.snapshot;
+            }
+
+            state.lastHeartbeat = ctx.now();
+            state.heartbeatStats?.record(state.lastHeartbeat, data.timestamp);
+            if (restoreConnection(state, emit, state.lastHeartbeat)) {
+                log("[Heartbeat] Resumed, connection restored");
+            }
+
+            if (!snapshot) {
+                return ok();
+            }
+            const corrections = resyncState(state, snapshot, emit, state.lastHeartbeat);
+            if (corrections.length > 0) {
+                log("[Heartbeat] State corrected from DayZ:", corrections);
+            }
+            return ok({ corrections });
+        }
+    },
+
+    // Legacy single frequency
+    {
+        method: "POST",
+        path: "/frequency",
+        summary: "Change frequency (legacy, single channel)",
+        responses: BAND_PLAN_RESPONSES,
+        schema: {
+            type: "object",
+            properties: { frequency: FREQUENCY },
+            required: ["frequency"]
+        },
+        handler: (ctx, data) => {
+            const parsed = parseFrequency(ctx, data.frequency);
+            if (parsed.response) return parsed.response;
+
+            ctx.log("[HTTP] Frequency change from DayZ:", parsed.frequency);
+            ctx.emit("frequency:change", parsed.frequency);
+            return ok({ frequency: parsed.frequency });
+        }
+    },
+
+    // Multi-frequency
+    {
+        method: "POST",
+        path: "/frequencies",
+        summary: "Replace the tuned frequencies",
+        responses: BAND_PLAN_RESPONSES,
+        schema: {
+            type: "object",
+            properties: { frequencies: FREQUENCY_LIST },
+            required: ["frequencies"]
+        },
+        handler: (ctx, data) => {
+            const frequencyErrors = validateFrequencyList(data.frequencies, ctx.bandPlan);
+            if (frequencyErrors.length > 0) {
+                ctx.log("[HTTP] Frequencies rejected:", frequencyErrors);
+                return badRequest("Invalid frequencies", frequencyErrors);
+            }
+
+            const frequencies = data.frequencies.map(f => normalizeFrequency(f, ctx.bandPlan));
+            ctx.log("[HTTP] Frequencies update from DayZ:", frequencies.length, "frequencies");
+            ctx.state.radio.setFrequencies(frequencies);
+            ctx.emit("frequencies:update", frequencies);
+            return ok({ count: frequencies.length });
+        }
+    },
+    {
+        method: "POST",
+        path: "/active-channel",
+        summary: "Set the active channel (must be tuned)",
+        responses: TUNED_FREQUENCY_RESPONSES,
+        schema: {
+            type: "object",
+            properties: { frequency: FREQUENCY },
+            required: ["frequency"]
+        },
+        handler: (ctx, data) => {
+            const parsed = parseFrequency(ctx, data.frequency);
+            if (parsed.response) return parsed.response;
+
+            if (!ctx.state.radio.setActiveChannel(parsed.frequency)) {
+                return notTuned(ctx, parsed.frequency);
+            }
+
+            ctx.log("[HTTP] Active channel change from DayZ:", parsed.frequency);
+            ctx.emit("active-channel:change", parsed.frequency);
+            return ok({ frequency: parsed.frequency });
+        }
+    },
+    {
+        method: "POST",
+        path: "/ear-side",
+        summary: "Change the ear side of a tuned frequency",
+        responses: TUNED_FREQUENCY_RESPONSES,
+        schema: {
+            type: "object",
+            properties: { frequency: FREQUENCY, earSide: EAR_SIDE },
+            required: ["frequency", "earSide"]
+        },
+        handler: (ctx, data) => {
+            const parsed = parseFrequency(ctx, data.frequency);
+            if (parsed.response) return parsed.response;
+
+            if (!ctx.state.radio.setEarSide(parsed.frequency, data.earSide)) {
+                return notTuned(ctx, parsed.frequency);
+            }
+
+            ctx.log("[HTTP] Ear side change from DayZ:", parsed.frequency, "earSide:", data.earSide);
+            ctx.emit("ear-side:change", { frequency: parsed.frequency, earSide: data.earSide });
+            return ok({ frequency: parsed.frequency, earSide: data.earSide });
+        }
+    },
+    {
+        method: "POST",
+        path: "/volume",
+        summary: "Change the volume of a tuned frequency",
+        responses: TUNED_FREQUENCY_RESPONSES,
+        schema: {
+            type: "object",
+            properties: { frequency: FREQUENCY, volume: VOLUME },
+            required: ["frequency", "volume"]
+        },
+        handler: (ctx, data) => {
+            const parsed = parseFrequency(ctx, data.frequency);
+            if (parsed.response) return parsed.response;
+
+            if (!ctx.state.radio.setVolume(parsed.frequency, data.volume)) {
+                return notTuned(ctx, parsed.frequency);
+            }
+
+            ctx.log("[HTTP] Volume change from DayZ:", parsed.frequency, "volume:", data.volume);
+            ctx.emit("volume:change", { frequency: parsed.frequency, volume: data.volume });
+            return ok({ frequency: parsed.frequency, volume: data.volume });
+        }
+    },
+    {
+        method: "POST",
+        path: "/mute",
+        summary: "Mute a tuned frequency, or every frequency without frequency",
+        responses: TUNED_FREQUENCY_RESPONSES,
+        schema: {
+            type: "object",
+            properties: { frequency: FREQUENCY, muted: { type: "boolean" } },
+            required: ["muted"]
+        },
+        handler: (ctx, data) => {
+            // Without frequency: global mute
+            let frequency = null;
+            if (data.frequency === undefined) {
+                ctx.state.radio.setGlobalMuted(data.muted);
+            } else {
+                const parsed = parseFrequency(ctx, data.frequency);
+                if (parsed.response) return parsed.response;
+
+                frequency = parsed.frequency;
+                if (!ctx.state.radio.setMuted(frequency, data.muted)) {
+                    return notTuned(ctx, frequency);
+                }
+            }
+
+            ctx.log("[HTTP] Mute change from DayZ:", frequency || "global", "muted:", data.muted);
+            ctx.emit("mute:change", { frequency, muted: data.muted });
+            return ok({ frequency, muted: data.muted });
+        }
+    },
+    {
+        method: "POST",
+        path: "/frequency/disconnect",
+        summary: "Stop listening to a tuned frequency",
+        responses: TUNED_FREQUENCY_RESPONSES,
+        schema: {
+            type: "object",
+            properties: { frequency: FREQUENCY },
+            required: ["frequency"]
+        },
+        handler: (ctx, data) => {
+            const parsed = parseFrequency(ctx, data.frequency);
+            if (parsed.response) return parsed.response;
+
+            if (!ctx.state.radio.removeFrequency(parsed.frequency)) {
+                return notTuned(ctx, parsed.frequency);
+            }
+
+            ctx.log("[HTTP] Frequency disconnect from DayZ:", parsed.frequency);
+            ctx.emit("frequency:disconnect", parsed.frequency);
+            return ok({ frequency: parsed.frequency });
+        }
+    },
+    {
+        method: "GET",
+        path: "/frequencies",
+        summary: "Tuned frequencies, active channel and global mute",
+        handler: ({ state }) => ({ status: 200, body: state.radio.getSnapshot() })
+    },
+    {
+        method: "GET",
+        path: "/active-channel",
+        summary: "Active channel",
+        handler: ({ state }) => ({ status: 200, body: { frequency: state.radio.getActiveChannel() } })
+    },
+
+    // API description
+    {
+        method: "GET",
+        path: "/capabilities",
+        summary: "App version, API version and supported features",
+        handler: () => ({ status: 200, body: getCapabilities() })
+    },
+    {
+        method: "GET",
+        path: "/openapi.json",
+        summary: "This OpenAPI document",
+        handler: ({ port }) => ({ status: 200, body: createOpenAPIDocument(ROUTES, { port }) })
+    }
+];
+
+/**
+ * Find the route of a request
+ * @param {string} method
+ * @param {string} pathname - Path without query string
+ * @param {object[]} [routes]
+ * @returns {object|null}
+ */
+function findRoute(method, pathname, routes = ROUTES) {
+    return routes.find(route => route.method === method && route.path === pathname) || null;
+}
+
+module.exports = {
+    ROUTES,
+    findRoute
+};
@@ -0,0 +1,133 @@
+/**
+ * Schema module for Radio VoIP DayZ
+ * Validates request bodies against the JSON Schema declared by each route
+ *
+ * Supported keywords: type, properties, required, items, minItems, maxItems,
+ * enum, minimum, maximum, minLength, maxLength, nullable (description is ignored)
+ */
+
+const TYPE_NAMES = {
+    object: "an object",
+    array: "an array",
+    string: "a string",
+    number: "a number",
+    integer: "an integer",
+    boolean: "a boolean"
+};
+
+/**
+ * Check a value against a JSON Schema type
+ * @param {*} value
+ * @param {string} type
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+    switch (type) {
+        case "object":
+            return typeof value === "object" && value !== null && !Array.isArray(value);
+        case "array":
+            return Array.isArray(value);
+        case "number":
+            return typeof value === "number" && Number.isFinite(value);
+        case "integer":
+            return Number.isInteger(value);
+        default:
+            return typeof value === type;
+    }
+}
+
+/**
+ * Build the path of a nested field ("frequencies[0].earSide")
+ * @param {string} parent - Empty for the body itself
+ * @param {string|number} key - Property name or array index
+ * @returns {string}
+ */
+function fieldPath(parent, key) {
+    if (typeof key === "number") {
+        return `${parent}[${key}]`;
+    }
+    return parent ? `${parent}.${key}` : key;
+}
+
+function describeRange(schema) {
+    if (schema.minimum !== undefined && schema.maximum !== undefined) {
+        return `must be between ${schema.minimum} and ${schema.maximum}`;
+    }
+    return schema.minimum !== undefined ? `must be >= ${schema.minimum}` : `must be <= ${schema.maximum}`;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value
+ * @param {object} schema
+ * @param {string} [path] - Field path of the value, empty for the request body
+ * @returns {Array<{field: string, message: string}>} - Problems found, empty if valid
+ */
+function validateSchema(value, schema, path = "") {
+    const field = path || "body";
+
+    // OpenAPI 3.0 style: null is allowed on top of the type
+    if (value === null && schema.nullable) {
+        return [];
+    }
+
+    if (schema.type && !matchesType(value, schema.type)) {
+        return [{ field, message: `must be ${TYPE_NAMES[schema.type]}${schema.nullable ? " or null" : ""}` }];
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        return [{ field, message: `must be one of ${schema.enum.join(", ")}` }];
+    }
+
+    const errors = [];
+
+    if (typeof value === "number") {
+        if ((schema.minimum !== undefined && value < schema.minimum) ||
+            (schema.maximum !== undefined && value > schema.maximum)) {
+            errors.push({ field, message: describeRange(schema) });
+        }
+    }
+
+    if (typeof value === "string") {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push({ field, message: schema.minLength === 1 ? "must not be empty" : `must have at least ${schema.minLength} characters` });
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push({ field, message: `must have at most ${schema.maxLength} characters` });
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ field, message: schema.minItems === 1 ? "must not be empty" : `must have at least ${schema.minItems} items` });
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push({ field, message: `must have at most ${schema.maxItems} items` });
+        }
+        if (schema.items) {
+            value.forEach((item, index) => {
+                errors.push(...validateSchema(item, schema.items, fieldPath(path, index)));
+            });
+        }
+    }
+
+    if (matchesType(value, "object")) {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) {
+                errors.push({ field: fieldPath(path, key), message: "is required" });
+            }
+        });
+        Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+            if (value[key] !== undefined) {
+                errors.push(...validateSchema(value[key], propertySchema, fieldPath(path, key)));
+            }
+        });
+    }
+
+    return errors;
+}
+
+module.exports = {
+    matchesType,
+    validateSchema
+};
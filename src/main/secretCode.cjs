@@ -0,0 +1,38 @@
+/**
+ * Secret code module for Radio VoIP DayZ
+ * The code opening the manual connection modal never leaves the main process in plaintext
+ */
+
+const crypto = require("crypto");
+
+/**
+ * Hash a secret code the way the waiting page hashes typed keys
+ * @param {string} code
+ * @returns {string} - SHA-256, hex encoded, of the lowercased code
+ */
+function hashSecretCode(code) {
+    return crypto.createHash("sha256").update(code.toLowerCase()).digest("hex");
+}
+
+/**
+ * Create the IPC handler giving the waiting page what it needs to detect the code
+ * Any other page (remote VoIP server included) gets null
+ * @param {string} code
+ * @param {string} waitingPageURL - file:// URL of waiting.html
+ * @returns {function(object): ({length: number, hash: string}|null)}
+ */
+function createSecretCodeProvider(code, waitingPageURL) {
+    const info = { length: code.length, hash: hashSecretCode(code) };
+
+    return (event) => {
+        if (event?.senderFrame?.url !== waitingPageURL) {
+            return null;
+        }
+        return { ...info };
+    };
+}
+
+module.exports = {
+    hashSecretCode,
+    createSecretCodeProvider
+};
@@ -0,0 +1,138 @@
+/**
+ * Server policy module for Radio VoIP DayZ
+ * Decides which VoIP server URLs /connect may load in the main window
+ */
+
+/**
+ * Error codes returned to the mod when /connect refuses a URL
+ */
+const CONNECT_ERRORS = {
+    MISSING_URL: "MISSING_URL",
+    INVALID_URL: "INVALID_URL",
+    UNSUPPORTED_PROTOCOL: "UNSUPPORTED_PROTOCOL",
+    SERVER_NOT_ALLOWED: "SERVER_NOT_ALLOWED",
+    SERVER_REFUSED: "SERVER_REFUSED",
+    SERVER_PENDING: "SERVER_PENDING"
+};
+
+/**
+ * How long /connect waits for the user to answer before telling the mod to retry (ms)
+ */
+const DEFAULT_CONFIRM_TIMEOUT = 15000;
+
+/**
+ * Parse a /connect URL
+ * @param {string} url
+ * @returns {{origin: string}|{error: string, code: string}}
+ */
+function parseServerURL(url) {
+    if (typeof url !== "string") {
+        return { error: "url must be a string", code: CONNECT_ERRORS.INVALID_URL };
+    }
+
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (e) {
+        return { error: "Invalid url", code: CONNECT_ERRORS.INVALID_URL };
+    }
+
+    if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+        return { error: `Unsupported protocol ${parsed.protocol}`, code: CONNECT_ERRORS.UNSUPPORTED_PROTOCOL };
+    }
+    return { origin: parsed.origin };
+}
+
+/**
+ * Add an origin to the allowed servers
+ * @param {object} settings
+ * @param {string} origin
+ * @returns {boolean} - False if settings.json could not be written (the origin is still allowed until restart)
+ */
+function rememberServer(settings, origin) {
+    // Read the list again, another request may have added to it while the prompt was open
+    const allowedServers = settings.get("allowedServers") || [];
+    if (allowedServers.includes(origin)) {
+        return true;
+    }
+    return settings.set("allowedServers", [...allowedServers, origin]);
+}
+
+/**
+ * Decide whether /connect may load a URL
+ * @param {string} url
+ * @param {object} [settings] - Settings store (allowedServers, restrictToAllowedServers), only the protocol is checked without it
+ * @param {function} [confirmServer] - async (origin) => boolean, asks the user about a server not yet allowed
+ * @param {object} [options]
+ * @param {number} [options.confirmTimeout] - Answer SERVER_PENDING when the user takes longer (ms)
+ * @param {function} [options.log]
+ * @returns {Promise<object>} - { allowed: true, origin, saved? } or { allowed: false, status, error, code },
+ * saved is set after a prompt and false when the approval could not be written to settings.json
+ */
+async function authorizeServerURL(url, settings, confirmServer, options = {}) {
+    const confirmTimeout = options.confirmTimeout ?? DEFAULT_CONFIRM_TIMEOUT;
+    const log = options.log || (() => {});
+
+    const parsed = parseServerURL(url);
+    if (parsed.error) {
+        return { allowed: false, status: 400, error: parsed.error, code: parsed.code };
+    }
+
+    const origin = parsed.origin;
+    if (!settings || (settings.get("allowedServers") || []).includes(origin)) {
+        return { allowed: true, origin };
+    }
+
+    if (settings.get("restrictToAllowedServers") || !confirmServer) {
+        return {
+            allowed: false,
+            status: 403,
+            error: `Server ${origin} is not in the allowed list`,
+            code: CONNECT_ERRORS.SERVER_NOT_ALLOWED
+        };
+    }
+
+    // Saved as soon as the user answers, even when /connect stopped waiting: the retry finds it allowed
+    const answer = Promise.resolve(confirmServer(origin)).then(approved => {
+        if (!approved) {
+            return { approved };
+        }
+        const saved = rememberServer(settings, origin);
+        if (!saved) {
+            log("[Settings] Could not save allowedServers, allowed until restart:", origin);
+        }
+        return { approved, saved };
+    });
+
+    let timer;
+    const timeout = new Promise(resolve => {
+        timer = setTimeout(() => resolve(null), confirmTimeout);
+    });
+    const result = await Promise.race([answer, timeout]);
+    clearTimeout(timer);
+
+    if (!result) {
+        return {
+            allowed: false,
+            status: 202,
+            error: `Server ${origin} is waiting for the user's approval, send /connect again`,
+            code: CONNECT_ERRORS.SERVER_PENDING
+        };
+    }
+    if (!result.approved) {
+        return {
+            allowed: false,
+            status: 403,
+            error: `Server ${origin} was refused by the user`,
+            code: CONNECT_ERRORS.SERVER_REFUSED
+        };
+    }
+    return { allowed: true, origin, saved: result.saved };
+}
+
+module.exports = {
+    CONNECT_ERRORS,
+    DEFAULT_CONFIRM_TIMEOUT,
+    parseServerURL,
+    authorizeServerURL
+};
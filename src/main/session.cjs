@@ -0,0 +1,139 @@
+/**
+ * Session module for Radio VoIP DayZ
+ * State changes shared by the HTTP routes and the main process (watchdog, heartbeat, crashes)
+ */
+
+/**
+ * Renderer channels and the callback each one calls
+ * The Electron app maps every callback to mainWindow.webContents.send(channel)
+ */
+const RENDERER_CHANNELS = {
+    "ptt:press": "onPTTPress",
+    "ptt:release": "onPTTRelease",
+    "frequency:change": "onFrequencyChange",
+    "frequencies:update": "onFrequenciesUpdate",
+    "active-channel:change": "onActiveChannelChange",
+    "ear-side:change": "onEarSideChange",
+    "volume:change": "onVolumeChange",
+    "mute:change": "onMuteChange",
+    "frequency:disconnect": "onFrequencyDisconnect",
+    "connection:reconnecting": "onReconnecting",
+    "connection:restored": "onReconnected"
+};
+
+/**
+ * Create the function sending an event to the renderer callback and the SSE clients
+ * Channels without a renderer callback (connection:connect, heartbeat:*, ...) only go to SSE
+ * @param {object} callbacks - Callback functions, see RENDERER_CHANNELS
+ * @param {object} [events] - Event stream created by createEventStream
+ * @returns {function(string, *): void}
+ */
+function createEmitter(callbacks, events) {
+    return (channel, payload) => {
+        const callback = RENDERER_CHANNELS[channel];
+        if (callback) {
+            callbacks[callback]?.(payload);
+        }
+        events?.broadcast(channel, payload);
+    };
+}
+
+/**
+ * Determine connection status
+ * @param {string|null} serverURL
+ * @param {object|null} mainWindow
+ * @param {number|null} [reconnectingSince] - Set while the heartbeat is late
+ * @returns {string}
+ */
+function getConnectionStatus(serverURL, mainWindow, reconnectingSince = null) {
+    if (serverURL) {
+        return reconnectingSince !== null ? "RECONNECTING" : "CONNECTED";
+    } else if (mainWindow) {
+        return "WAITING_FOR_CONNECTION";
+    }
+    return "DISCONNECTED";
+}
+
+/**
+ * Release PTT without an order from DayZ (disconnect, watchdog, crash)
+ * @param {object} state - Application state
+ * @param {string} reason - Sent to the renderer and kept in state.pttAutoRelease
+ * @param {function} emit - Created by createEmitter
+ * @param {number} [now]
+ * @returns {boolean} - False if PTT was not pressed
+ */
+function releasePTT(state, reason, emit, now = Date.now()) {
+    if (!state.isPTTPressed) {
+        return false;
+    }
+    state.isPTTPressed = false;
+    state.pttPressedAt = null;
+    state.pttFrequencies = null;
+    state.pttAutoRelease = { reason, at: now };
+    emit("ptt:release", { reason });
+    return true;
+}
+
+/**
+ * The heartbeat is late: keep the VoIP page loaded but release and block PTT until it resumes
+ * @param {object} state - Application state
+ * @param {function} emit - Created by createEmitter
+ * @param {number} [now]
+ * @returns {boolean} - False if already reconnecting or not connected
+ */
+function startReconnecting(state, emit, now = Date.now()) {
+    if (!state.serverURL || state.reconnectingSince != null) {
+        return false;
+    }
+    state.reconnectingSince = now;
+    releasePTT(state, "reconnecting", emit, now);
+    emit("connection:reconnecting", { since: now });
+    return true;
+}
+
+/**
+ * The heartbeat resumed: back to CONNECTED, the page was never reloaded
+ * @param {object} state - Application state
+ * @param {function} emit - Created by createEmitter
+ * @param {number} [now]
+ * @returns {boolean} - False if not reconnecting
+ */
+function restoreConnection(state, emit, now = Date.now()) {
+    if (state.reconnectingSince == null) {
+        return false;
+    }
+    const duration = now - state.reconnectingSince;
+    state.reconnectingSince = null;
+    emit("connection:restored", { duration });
+    return true;
+}
+
+/**
+ * End the VoIP session: PTT released, server and radio state cleared
+ * @param {object} state - Application state
+ * @param {string} reason - "manual", "heartbeat_timeout", "renderer_crash"
+ * @param {function} emit - Created by createEmitter
+ */
+function endSession(state, reason, emit) {
+    releasePTT(state, "disconnect", emit);
+
+    state.serverURL = null;
+    state.lastHeartbeat = null;
+    state.reconnectingSince = null;
+    state.heartbeatPolicy = null;
+    state.heartbeatStats = null;
+    state.pttSequence = null;
+    state.pttTimestamp = null;
+    state.radio?.reset();
+    emit("connection:disconnect", { reason });
+}
+
+module.exports = {
+    RENDERER_CHANNELS,
+    createEmitter,
+    getConnectionStatus,
+    releasePTT,
+    startReconnecting,
+    restoreConnection,
+    endSession
+};
@@ -0,0 +1,89 @@
+/**
+ * Settings module for Radio VoIP DayZ
+ * User preferences kept across launches (unlike config.json, which is rewritten for the mod)
+ */
+
+const path = require("path");
+const fs = require("fs");
+const { ensureDirectoryExists } = require("./config.cjs");
+
+const DEFAULT_SETTINGS = {
+    allowedServers: [], // Origins of approved VoIP servers
+    restrictToAllowedServers: false, // Refuse unknown servers instead of asking
+    heartbeatInterval: null, // Overrides the heartbeat interval asked by the mod (ms)
+    heartbeatTimeout: null // Overrides the heartbeat timeout asked by the mod (ms)
+};
+
+/**
+ * Create a settings store backed by a JSON file
+ * Missing or unreadable files fall back to DEFAULT_SETTINGS
+ * @param {string} settingsPath
+ * @returns {object}
+ */
+function createSettingsStore(settingsPath) {
+    let settings = { ...DEFAULT_SETTINGS };
+
+    try {
+        if (fs.existsSync(settingsPath)) {
+            const saved = JSON.parse(fs.readFileSync(settingsPath, "utf-8"));
+            if (saved && typeof saved === "object" && !Array.isArray(saved)) {
+                settings = { ...settings, ...saved };
+            }
+        }
+    } catch (err) {
+        // Keep defaults
+    }
+
+    function save() {
+        try {
+            ensureDirectoryExists(path.dirname(settingsPath));
+            fs.writeFileSync(settingsPath, JSON.stringify(settings, null, 2));
+            return true;
+        } catch (err) {
+            return false;
+        }
+    }
+
+    return {
+        /**
+         * @param {string} key
+         * @returns {*}
+         */
+        get(key) {
+            return settings[key];
+        },
+
+        /**
+         * Change a setting and write the file
+         * @param {string} key
+         * @param {*} value
+         * @returns {boolean} - False if the file could not be written
+         */
+        set(key, value) {
+            settings[key] = value;
+            return save();
+        },
+
+        /**
+         * @returns {object}
+         */
+        getAll() {
+            return { ...settings };
+        }
+    };
+}
+
+/**
+ * Get default settings file path
+ * @param {string} userDataDir - Electron app.getPath("userData")
+ * @returns {string}
+ */
+function getDefaultSettingsPath(userDataDir) {
+    return path.join(userDataDir, "settings.json");
+}
+
+module.exports = {
+    DEFAULT_SETTINGS,
+    createSettingsStore,
+    getDefaultSettingsPath
+};
@@ -0,0 +1,96 @@
+/**
+ * State sync module for Radio VoIP DayZ
+ * Heals drift between the mod and the main process from the snapshot sent with /heartbeat
+ */
+
+const { DEFAULT_VOLUME } = require("./radioState.cjs");
+const { releasePTT } = require("./session.cjs");
+
+/**
+ * Correct the tuned frequencies: the whole list when the set differs, single fields otherwise
+ * @returns {Array<object>} - Corrections applied
+ */
+function syncFrequencies(state, list, emit) {
+    const current = state.radio.getFrequencies();
+    const findCurrent = (frequency) => current.find(f => f.frequency === frequency);
+
+    const sameSet = current.length === list.length && list.every(f => findCurrent(f.frequency));
+    if (!sameSet) {
+        // Volume and mute are optional in the snapshot, keep ours when the mod left them out
+        const frequencies = list.map(f => ({
+            frequency: f.frequency,
+            earSide: f.earSide,
+            volume: f.volume ?? findCurrent(f.frequency)?.volume ?? DEFAULT_VOLUME,
+            muted: f.muted ?? findCurrent(f.frequency)?.muted ?? false
+        }));
+        state.radio.setFrequencies(frequencies);
+        emit("frequencies:update", state.radio.getFrequencies());
+        return [{
+            field: "frequencies",
+            from: current.map(f => f.frequency),
+            to: frequencies.map(f => f.frequency)
+        }];
+    }
+
+    const corrections = [];
+    list.forEach(f => {
+        const entry = findCurrent(f.frequency);
+        if (entry.earSide !== f.earSide) {
+            state.radio.setEarSide(f.frequency, f.earSide);
+            emit("ear-side:change", { frequency: f.frequency, earSide: f.earSide });
+            corrections.push({ field: "earSide", frequency: f.frequency, from: entry.earSide, to: f.earSide });
+        }
+        if (f.volume !== undefined && entry.volume !== f.volume) {
+            state.radio.setVolume(f.frequency, f.volume);
+            emit("volume:change", { frequency: f.frequency, volume: f.volume });
+            corrections.push({ field: "volume", frequency: f.frequency, from: entry.volume, to: f.volume });
+        }
+        if (f.muted !== undefined && entry.muted !== f.muted) {
+            state.radio.setMuted(f.frequency, f.muted);
+            emit("mute:change", { frequency: f.frequency, muted: f.muted });
+            corrections.push({ field: "muted", frequency: f.frequency, from: entry.muted, to: f.muted });
+        }
+    });
+    return corrections;
+}
+
+/**
+ * Bring the main state in line with the mod's view of the radio
+ * The mod is the source of truth: every difference is applied and sent to the renderer,
+ * except PTT which is only ever released (a late snapshot must not key the mic again)
+ * @param {object} state - Application state
+ * @param {object} snapshot - Fields the mod sent, frequencies already converted to their renderer string
+ * @param {Array<{frequency: string, earSide: number, volume?: number, muted?: boolean}>} [snapshot.frequencies]
+ * @param {string|null} [snapshot.activeChannel]
+ * @param {boolean} [snapshot.pttPressed]
+ * @param {function} emit - Created by createEmitter
+ * @param {number} [now]
+ * @returns {Array<{field: string, frequency?: string, from: *, to: *}>} - Corrections applied, empty when in sync
+ */
+function resyncState(state, snapshot, emit, now = Date.now()) {
+    const corrections = [];
+
+    if (snapshot.frequencies !== undefined) {
+        corrections.push(...syncFrequencies(state, snapshot.frequencies, emit));
+    }
+
+    // Checked after the frequencies: a new list may have cleared the active channel
+    const activeChannel = state.radio.getActiveChannel();
+    if (snapshot.activeChannel !== undefined && snapshot.activeChannel !== activeChannel &&
+        state.radio.setActiveChannel(snapshot.activeChannel)) {
+        emit("active-channel:change", snapshot.activeChannel);
+        corrections.push({ field: "activeChannel", from: activeChannel, to: snapshot.activeChannel });
+    }
+
+    // Pressing stays with /ptt/press: its seq ordering and the watchdog would be overridden otherwise
+    if (snapshot.pttPressed === false && state.isPTTPressed) {
+        releasePTT(state, "resync", emit, now);
+        corrections.push({ field: "pttPressed", from: true, to: false });
+    }
+
+    return corrections;
+}
+
+module.exports = {
+    resyncState
+};
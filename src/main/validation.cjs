@@ -0,0 +1,52 @@
+/**
+ * Validation module for Radio VoIP DayZ
+ * Normalizes frequencies and orders PTT commands sent by the DayZ mod
+ */
+
+const { DEFAULT_VOLUME } = require("./radioState.cjs");
+const { DEFAULT_BAND_PLAN, formatFrequency } = require("./bandPlan.cjs");
+
+/**
+ * Convert a validated frequency object to its renderer form
+ * @param {object} freq
+ * @param {object} [bandPlan]
+ * @returns {{frequency: string, earSide: number, volume: number, muted: boolean}}
+ */
+function normalizeFrequency(freq, bandPlan = DEFAULT_BAND_PLAN) {
+    return {
+        frequency: frequencyToString(freq.frequency, bandPlan),
+        earSide: freq.earSide,
+        volume: freq.volume ?? DEFAULT_VOLUME,
+        muted: freq.muted ?? false
+    };
+}
+
+/**
+ * Check whether a PTT command arrived after a newer one was applied
+ * Commands without sequence number are never stale (older mod versions)
+ * @param {number|undefined} seq - Sequence number of the command
+ * @param {number|null} lastSeq - Last applied sequence number
+ * @returns {boolean}
+ */
+function isStalePTTCommand(seq, lastSeq) {
+    if (seq === undefined || lastSeq === null || lastSeq === undefined) {
+        return false;
+    }
+    return seq <= lastSeq;
+}
+
+/**
+ * Convert frequency number to its canonical string
+ * @param {number} frequency
+ * @param {object} [bandPlan]
+ * @returns {string}
+ */
+function frequencyToString(frequency, bandPlan = DEFAULT_BAND_PLAN) {
+    return formatFrequency(frequency, bandPlan);
+}
+
+module.exports = {
+    normalizeFrequency,
+    isStalePTTCommand,
+    frequencyToString
+};
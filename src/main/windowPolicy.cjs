@@ -0,0 +1,98 @@
+/**
+ * Window policy module for Radio VoIP DayZ
+ * Decides where the VoIP window may navigate and which permissions a page gets
+ */
+
+/**
+ * Content Security Policy of the local pages (waiting.html)
+ * Also set as a <meta> tag in the pages themselves
+ */
+const LOCAL_PAGE_CSP = "default-src 'none'; script-src 'self'; style-src 'self'; img-src 'self'; base-uri 'none'; form-action 'none'";
+
+/**
+ * Get the origin of a URL
+ * @param {string} url
+ * @returns {string|null} - Null if the URL cannot be parsed or has an opaque origin
+ */
+function getOrigin(url) {
+    try {
+        const origin = new URL(url).origin;
+        return origin === "null" ? null : origin;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Check that a page-initiated navigation stays on the connected VoIP origin
+ * @param {string} url - Navigation target
+ * @param {string|null} allowedOrigin - Origin passed to /connect or the manual modal
+ * @returns {boolean}
+ */
+function isNavigationAllowed(url, allowedOrigin) {
+    if (!allowedOrigin) {
+        return false;
+    }
+    return getOrigin(url) === allowedOrigin;
+}
+
+/**
+ * Check that a link may be handed to the system browser
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isExternalURL(url) {
+    try {
+        const protocol = new URL(url).protocol;
+        return protocol === "http:" || protocol === "https:";
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Decide a permission request: microphone for the connected VoIP origin, nothing else
+ * @param {string} permission - Electron permission name ("media", "geolocation", ...)
+ * @param {object} details
+ * @param {string} details.requestingUrl - URL (or origin) of the page asking
+ * @param {string[]} [details.mediaTypes] - "audio" and/or "video" for media requests
+ * @param {string|null} allowedOrigin
+ * @returns {boolean}
+ */
+function isPermissionAllowed(permission, details, allowedOrigin) {
+    if (permission !== "media" || !allowedOrigin) {
+        return false;
+    }
+    if (getOrigin(details.requestingUrl) !== allowedOrigin) {
+        return false;
+    }
+    // Permission checks carry no media types, requests for the camera do
+    const mediaTypes = details.mediaTypes || [];
+    return mediaTypes.every(type => type === "audio");
+}
+
+/**
+ * Add the local page CSP to the response headers of a file:// load
+ * Existing Content-Security-Policy headers, whatever their case, are replaced
+ * @param {object} responseHeaders - Electron webRequest headers ({ name: string[] })
+ * @returns {object}
+ */
+function withLocalPageCSP(responseHeaders = {}) {
+    const headers = {};
+    Object.entries(responseHeaders).forEach(([name, value]) => {
+        if (name.toLowerCase() !== "content-security-policy") {
+            headers[name] = value;
+        }
+    });
+    headers["Content-Security-Policy"] = [LOCAL_PAGE_CSP];
+    return headers;
+}
+
+module.exports = {
+    LOCAL_PAGE_CSP,
+    getOrigin,
+    isNavigationAllowed,
+    isExternalURL,
+    isPermissionAllowed,
+    withLocalPageCSP
+};
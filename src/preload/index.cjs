@@ -47,33 +47,64 @@ const TITLEBAR_CSS = `
     background: #e94560;
     color: #fff;
 }
+.electron-reconnect-banner {
+    position: fixed;
+    top: 32px;
+    left: 0;
+    right: 0;
+    z-index: 99998;
+    padding: 6px 10px;
+    background: #e9a23b;
+    color: #0d0d1a;
+    font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+    font-size: 12px;
+    text-align: center;
+}
 body {
     padding-top: 32px !important;
     overflow: hidden !important;
 }
 `;
 
+// Créer un bouton de la barre de titre
+function createTitlebarButton(id, label, extraClass) {
+	const button = document.createElement("button");
+	button.className = extraClass ? `electron-titlebar-btn ${extraClass}` : "electron-titlebar-btn";
+	button.id = id;
+	button.textContent = label;
+	return button;
+}
+
 // Injecter la barre de titre au chargement de la page
 function injectTitlebar() {
 	// Ne pas injecter si déjà présente
 	if (document.querySelector('.electron-titlebar')) return;
 
-	// Injecter le CSS
-	const style = document.createElement("style");
-	style.textContent = TITLEBAR_CSS;
-	document.head.appendChild(style);
-
-	// Créer la barre de titre
-	const titlebar = document.createElement('div');
-	titlebar.className = 'electron-titlebar';
-	titlebar.innerHTML = `
-		<div class="electron-titlebar-title">Radio VoIP DayZ</div>
-		<div class="electron-titlebar-buttons">
-			<button class="electron-titlebar-btn" id="electron-btn-minimize">&#8211;</button>
-			<button class="electron-titlebar-btn" id="electron-btn-maximize">&#9633;</button>
-			<button class="electron-titlebar-btn close" id="electron-btn-close">&#10005;</button>
-		</div>
-	`;
+	// Injecter le CSS (les pages locales chargent titlebar.css, leur CSP refuse les styles inline)
+	if (window.location.protocol !== "file:") {
+		const style = document.createElement("style");
+		style.textContent = TITLEBAR_CSS;
+		document.head.appendChild(style);
+	}
+	document.body.classList.add("has-electron-titlebar");
+
+	// Créer la barre de titre (createElement : pas de innerHTML)
+	const titlebar = document.createElement("div");
+	titlebar.className = "electron-titlebar";
+
+	const title = document.createElement("div");
+	title.className = "electron-titlebar-title";
+	title.textContent = "Radio VoIP DayZ";
+
+	const buttons = document.createElement("div");
+	buttons.className = "electron-titlebar-buttons";
+	buttons.append(
+		createTitlebarButton("electron-btn-minimize", "\u2013"),
+		createTitlebarButton("electron-btn-maximize", "\u25A1"),
+		createTitlebarButton("electron-btn-close", "\u2715", "close")
+	);
+
+	titlebar.append(title, buttons);
 	document.body.insertBefore(titlebar, document.body.firstChild);
 
 	// Event listeners
@@ -88,6 +119,31 @@ function injectTitlebar() {
 	});
 }
 
+// Bandeau RECONNECTING : la page VoIP reste chargée mais le PTT est bloqué jusqu'au retour du heartbeat
+const connectionCallbacks = { reconnecting: null, restored: null };
+
+function showReconnectBanner() {
+	if (!document.body || document.querySelector(".electron-reconnect-banner")) return;
+
+	const banner = document.createElement("div");
+	banner.className = "electron-reconnect-banner";
+	banner.textContent = "Connexion à DayZ perdue, reconnexion en cours... Push-to-talk désactivé.";
+	document.body.appendChild(banner);
+}
+
+function hideReconnectBanner() {
+	document.querySelector(".electron-reconnect-banner")?.remove();
+}
+
+ipcRenderer.on("connection:reconnecting", (event, data) => {
+	showReconnectBanner();
+	connectionCallbacks.reconnecting?.(data);
+});
+ipcRenderer.on("connection:restored", (event, data) => {
+	hideReconnectBanner();
+	connectionCallbacks.restored?.(data);
+});
+
 // Attendre que le DOM soit prêt
 window.addEventListener("DOMContentLoaded", () => {
 	injectTitlebar();
@@ -95,11 +151,12 @@ window.addEventListener("DOMContentLoaded", () => {
 
 // Expose protected methods to the renderer process
 // Use removeAllListeners before adding new ones to prevent duplicates
-contextBridge.exposeInMainWorld("electronAPI", {
+const electronAPI = {
 	// PTT events from DayZ via main process
+	// data is { frequencies: ["45.3", ...] } for multi-channel transmit, undefined for the active channel
 	onPTTPress: (callback) => {
 		ipcRenderer.removeAllListeners("ptt:press");
-		ipcRenderer.on("ptt:press", () => callback());
+		ipcRenderer.on("ptt:press", (event, data) => callback(data));
 	},
 	onPTTRelease: (callback) => {
 		ipcRenderer.removeAllListeners("ptt:release");
@@ -129,10 +186,33 @@ contextBridge.exposeInMainWorld("electronAPI", {
 		ipcRenderer.removeAllListeners("ear-side:change");
 		ipcRenderer.on("ear-side:change", (event, data) => callback(data));
 	},
+	onVolumeChange: (callback) => {
+		ipcRenderer.removeAllListeners("volume:change");
+		ipcRenderer.on("volume:change", (event, data) => callback(data));
+	},
+	// data.frequency is null for the global mute
+	onMuteChange: (callback) => {
+		ipcRenderer.removeAllListeners("mute:change");
+		ipcRenderer.on("mute:change", (event, data) => callback(data));
+	},
+
+	// Heartbeat from DayZ late ({since}) or back ({duration}), the banner is shown by the preload
+	onReconnecting: (callback) => {
+		connectionCallbacks.reconnecting = callback;
+	},
+	onReconnected: (callback) => {
+		connectionCallbacks.restored = callback;
+	},
 
 	// Get configuration
 	getServerURL: () => ipcRenderer.invoke("get-server-url"),
 
+	// Snapshot of the radio state { frequencies, activeChannel, pttPressed, serverURL, reconnecting }
+	getState: () => ipcRenderer.invoke("get-state"),
+
+	// Manual connection from the waiting page modal, resolves to { success, error?, code? }
+	connect: (url) => ipcRenderer.invoke("manual-connect", url),
+
 	// Window controls
 	minimize: () => ipcRenderer.send("window-minimize"),
 	maximize: () => ipcRenderer.send("window-maximize"),
@@ -140,4 +220,11 @@ contextBridge.exposeInMainWorld("electronAPI", {
 
 	// Check if running in Electron
 	isElectron: true,
-});
+};
+
+// Local waiting page only (never remote VoIP pages): { length, hash } of the manual connection code
+if (window.location.protocol === "file:") {
+	electronAPI.getSecretCode = () => ipcRenderer.invoke("get-secret-code");
+}
+
+contextBridge.exposeInMainWorld("electronAPI", electronAPI);
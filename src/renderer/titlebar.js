@@ -3,19 +3,33 @@
     // Ne pas injecter si déjà présente
     if (document.querySelector('.electron-titlebar')) return;
     
-    // Créer la barre de titre
+    // Créer la barre de titre (createElement : pas de innerHTML, compatible CSP)
+    function createButton(id, label, extraClass) {
+        const button = document.createElement('button');
+        button.className = extraClass ? `electron-titlebar-btn ${extraClass}` : 'electron-titlebar-btn';
+        button.id = id;
+        button.textContent = label;
+        return button;
+    }
+
     const titlebar = document.createElement('div');
     titlebar.className = 'electron-titlebar';
-    titlebar.innerHTML = `
-        <div class="electron-titlebar-title">
-            <span>Radio VoIP DayZ</span>
-        </div>
-        <div class="electron-titlebar-buttons">
-            <button class="electron-titlebar-btn" id="electron-btn-minimize">&#8211;</button>
-            <button class="electron-titlebar-btn" id="electron-btn-maximize">&#9633;</button>
-            <button class="electron-titlebar-btn close" id="electron-btn-close">&#10005;</button>
-        </div>
-    `;
+
+    const title = document.createElement('div');
+    title.className = 'electron-titlebar-title';
+    const titleText = document.createElement('span');
+    titleText.textContent = 'Radio VoIP DayZ';
+    title.appendChild(titleText);
+
+    const buttons = document.createElement('div');
+    buttons.className = 'electron-titlebar-buttons';
+    buttons.append(
+        createButton('electron-btn-minimize', '\u2013'),
+        createButton('electron-btn-maximize', '\u25A1'),
+        createButton('electron-btn-close', '\u2715', 'close')
+    );
+
+    titlebar.append(title, buttons);
     
     // Insérer au début du body
     document.body.insertBefore(titlebar, document.body.firstChild);
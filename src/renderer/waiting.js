@@ -0,0 +1,91 @@
+// Page d'attente : code secret et connexion manuelle
+(function() {
+    // Hash et longueur du code secret, fournis par Electron (le code lui-même reste dans le main process)
+    let secretCode = null;
+    window.electronAPI.getSecretCode().then((info) => {
+        secretCode = info;
+    });
+
+    let typedKeys = '';
+    const modal = document.getElementById('urlModal');
+    const urlInput = document.getElementById('serverUrl');
+    const btnConnect = document.getElementById('btnConnect');
+    const btnCancel = document.getElementById('btnCancel');
+
+    // Detection du code secret
+    document.addEventListener('keydown', (e) => {
+        // Ne pas detecter si le modal est ouvert
+        if (modal.classList.contains('show')) return;
+
+        if (!secretCode) return;
+
+        // Touches spéciales (Shift, Enter...) : on recommence
+        if (e.key.length !== 1) {
+            typedKeys = '';
+            return;
+        }
+
+        // Garder les dernières touches, autant que le code en compte
+        typedKeys = (typedKeys + e.key.toLowerCase()).slice(-secretCode.length);
+        if (typedKeys.length < secretCode.length) return;
+
+        const candidate = typedKeys;
+        sha256(candidate).then((hash) => {
+            if (hash === secretCode.hash && typedKeys === candidate) {
+                typedKeys = '';
+                showModal();
+            }
+        });
+    });
+
+    async function sha256(text) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    function showModal() {
+        modal.classList.add('show');
+        urlInput.value = '';
+        urlInput.focus();
+    }
+
+    function hideModal() {
+        modal.classList.remove('show');
+        typedKeys = '';
+    }
+
+    function connect() {
+        let url = urlInput.value.trim();
+        if (!url) return;
+
+        // Ajouter le protocole si manquant
+        if (!url.startsWith('http://') && !url.startsWith('https://')) {
+            url = 'http://' + url;
+        }
+
+        // La fenêtre ne navigue que vers le serveur validé par Electron
+        window.electronAPI.connect(url).then((result) => {
+            if (!result.success) {
+                urlInput.select();
+            }
+        });
+    }
+
+    btnConnect.addEventListener('click', connect);
+    btnCancel.addEventListener('click', hideModal);
+
+    urlInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            connect();
+        } else if (e.key === 'Escape') {
+            hideModal();
+        }
+    });
+
+    // Fermer le modal en cliquant a l'exterieur
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            hideModal();
+        }
+    });
+})();
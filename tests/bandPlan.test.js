@@ -0,0 +1,203 @@
+/**
+ * Unit tests for Band Plan module
+ */
+
+const {
+    DEFAULT_BAND_PLAN,
+    validateBandPlan,
+    getBandPlanFromEnv,
+    formatFrequency,
+    validateFrequency,
+    validateFrequencyList
+} = require("../src/main/bandPlan.cjs");
+
+describe("bandPlan module", () => {
+    const bandPlan = { min: 30, max: 150, step: 0.025, decimals: 3, maxChannels: 3 };
+
+    // ==========================================
+    // getBandPlanFromEnv tests
+    // ==========================================
+    describe("getBandPlanFromEnv", () => {
+        const keys = ["FREQUENCY_MIN", "FREQUENCY_MAX", "FREQUENCY_STEP", "FREQUENCY_DECIMALS", "MAX_CHANNELS"];
+
+        afterEach(() => {
+            keys.forEach(key => delete process.env[key]);
+        });
+
+        test("should use defaults when nothing is set", () => {
+            expect(getBandPlanFromEnv()).toEqual(DEFAULT_BAND_PLAN);
+        });
+
+        test("should read overrides from env", () => {
+            process.env.FREQUENCY_MIN = "30";
+            process.env.FREQUENCY_MAX = "150";
+            process.env.FREQUENCY_STEP = "0.025";
+            process.env.FREQUENCY_DECIMALS = "3";
+            process.env.MAX_CHANNELS = "3";
+
+            expect(getBandPlanFromEnv()).toEqual(bandPlan);
+        });
+
+        test("should accept zero for the minimum and the decimals", () => {
+            process.env.FREQUENCY_MIN = "0";
+            process.env.FREQUENCY_STEP = "1";
+            process.env.FREQUENCY_DECIMALS = "0";
+
+            expect(getBandPlanFromEnv()).toEqual({ ...DEFAULT_BAND_PLAN, min: 0, step: 1, decimals: 0 });
+        });
+
+        test("should log the problems and use the whole default plan when invalid", () => {
+            const log = jest.fn();
+            process.env.FREQUENCY_STEP = "0.025";
+            process.env.FREQUENCY_DECIMALS = "25";
+
+            expect(getBandPlanFromEnv(log)).toEqual(DEFAULT_BAND_PLAN);
+            expect(log).toHaveBeenCalledWith("[BandPlan] Invalid configuration: FREQUENCY_DECIMALS must be an integer from 0 to 20 (got 25)");
+            expect(log).toHaveBeenCalledWith("[BandPlan] Using the default band plan instead");
+        });
+
+        test("should not log a valid plan", () => {
+            const log = jest.fn();
+            process.env.FREQUENCY_MIN = "0";
+
+            getBandPlanFromEnv(log);
+
+            expect(log).not.toHaveBeenCalled();
+        });
+    });
+
+    // ==========================================
+    // validateBandPlan tests
+    // ==========================================
+    describe("validateBandPlan", () => {
+        test("should accept the default plan and a finer one", () => {
+            expect(validateBandPlan(DEFAULT_BAND_PLAN)).toEqual([]);
+            expect(validateBandPlan(bandPlan)).toEqual([]);
+        });
+
+        test("should refuse values that are not numbers", () => {
+            expect(validateBandPlan({ ...bandPlan, min: NaN, step: Infinity })).toEqual([
+                "FREQUENCY_MIN must be a number",
+                "FREQUENCY_STEP must be a number"
+            ]);
+        });
+
+        test("should refuse a negative minimum or one above the maximum", () => {
+            expect(validateBandPlan({ ...bandPlan, min: -1 })).toEqual(["FREQUENCY_MIN must be 0 or more (got -1)"]);
+            expect(validateBandPlan({ ...bandPlan, min: 150 })).toEqual(["FREQUENCY_MIN (150) must be below FREQUENCY_MAX (150)"]);
+        });
+
+        test("should refuse decimals toFixed cannot use", () => {
+            expect(validateBandPlan({ ...bandPlan, decimals: 21 })).toEqual(["FREQUENCY_DECIMALS must be an integer from 0 to 20 (got 21)"]);
+            expect(validateBandPlan({ ...bandPlan, decimals: 1.5 })).toHaveLength(1);
+            expect(validateBandPlan({ ...bandPlan, decimals: -1 })).toHaveLength(1);
+        });
+
+        test("should refuse a step finer than the decimals", () => {
+            // 45.34 would pass the step check and be stored as "45.3"
+            expect(validateBandPlan({ ...DEFAULT_BAND_PLAN, step: 0.0000001 })).toEqual([
+                "FREQUENCY_STEP must be a positive multiple of 0.1 with FREQUENCY_DECIMALS=1 (got 1e-7)"
+            ]);
+            expect(validateBandPlan({ ...bandPlan, step: 0 })).toHaveLength(1);
+            expect(validateBandPlan({ ...bandPlan, step: 0.5, decimals: 0 })).toHaveLength(1);
+        });
+
+        test("should refuse a channel count that is not a positive integer", () => {
+            expect(validateBandPlan({ ...bandPlan, maxChannels: 0 })).toEqual(["MAX_CHANNELS must be a positive integer (got 0)"]);
+            expect(validateBandPlan({ ...bandPlan, maxChannels: 2.5 })).toHaveLength(1);
+        });
+    });
+
+    // ==========================================
+    // formatFrequency tests
+    // ==========================================
+    describe("formatFrequency", () => {
+        test("should map the same dial position to the same channel", () => {
+            expect(formatFrequency(45.3)).toBe("45.3");
+            expect(formatFrequency(45.30)).toBe("45.3");
+            expect(formatFrequency(45.3000001)).toBe("45.3");
+            expect(formatFrequency(45.2999999)).toBe("45.3");
+        });
+
+        test("should drop trailing zeros", () => {
+            expect(formatFrequency(100)).toBe("100");
+            expect(formatFrequency(100.0)).toBe("100");
+        });
+
+        test("should use band plan precision", () => {
+            expect(formatFrequency(45.325, bandPlan)).toBe("45.325");
+            expect(formatFrequency(45.3250004, bandPlan)).toBe("45.325");
+        });
+    });
+
+    // ==========================================
+    // validateFrequency tests
+    // ==========================================
+    describe("validateFrequency", () => {
+        test("should accept frequencies in the band", () => {
+            expect(validateFrequency(45.3)).toBeNull();
+            expect(validateFrequency(45.3000001)).toBeNull();
+            expect(validateFrequency(DEFAULT_BAND_PLAN.min)).toBeNull();
+            expect(validateFrequency(DEFAULT_BAND_PLAN.max)).toBeNull();
+        });
+
+        test("should reject non-numbers", () => {
+            expect(validateFrequency("45.3")).toBe('"45.3" is not a number');
+            expect(validateFrequency(null)).toBe("null is not a number");
+        });
+
+        test("should reject NaN and Infinity", () => {
+            expect(validateFrequency(NaN)).toBe("NaN is not a finite number");
+            expect(validateFrequency(Infinity)).toBe("Infinity is not a finite number");
+        });
+
+        test("should reject out of band frequencies", () => {
+            expect(validateFrequency(-45.3)).toBe("-45.3 is below minimum 1");
+            expect(validateFrequency(29, bandPlan)).toBe("29 is below minimum 30");
+            expect(validateFrequency(150.025, bandPlan)).toBe("150.025 is above maximum 150");
+        });
+
+        test("should reject frequencies off the step", () => {
+            expect(validateFrequency(45.35)).toBe("45.35 is not a multiple of step 0.1");
+            expect(validateFrequency(45.31, bandPlan)).toBe("45.31 is not a multiple of step 0.025");
+            expect(validateFrequency(45.325, bandPlan)).toBeNull();
+        });
+    });
+
+    // ==========================================
+    // validateFrequencyList tests
+    // ==========================================
+    describe("validateFrequencyList", () => {
+        test("should accept a valid list", () => {
+            expect(validateFrequencyList([{ frequency: 45.3 }, { frequency: 100 }])).toEqual([]);
+        });
+
+        test("should list every problem with its index", () => {
+            const errors = validateFrequencyList([
+                { frequency: 45.3 },
+                { frequency: -1 },
+                { frequency: 45.35 }
+            ]);
+
+            expect(errors).toEqual([
+                { field: "frequencies[1].frequency", message: "-1 is below minimum 1" },
+                { field: "frequencies[2].frequency", message: "45.35 is not a multiple of step 0.1" }
+            ]);
+        });
+
+        test("should reject duplicates after canonical formatting", () => {
+            const errors = validateFrequencyList([{ frequency: 45.3 }, { frequency: 45.3000001 }]);
+
+            expect(errors).toEqual([{ field: "frequencies[1].frequency", message: "duplicate of 45.3" }]);
+        });
+
+        test("should reject more channels than allowed", () => {
+            const errors = validateFrequencyList(
+                [{ frequency: 45 }, { frequency: 46 }, { frequency: 47 }, { frequency: 48 }],
+                bandPlan
+            );
+
+            expect(errors).toEqual([{ field: "frequencies", message: "too many frequencies: 4 (maximum 3)" }]);
+        });
+    });
+});
@@ -0,0 +1,418 @@
+/**
+ * Unit tests for Bridge module
+ * The VoIP window is a fake adapter, timers are Jest fake timers
+ */
+
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+const http = require("http");
+const {
+    createBridge,
+    DEFAULT_HEARTBEAT_TIMEOUT,
+    DEFAULT_RECONNECT_GRACE,
+    HEARTBEAT_CHECK_INTERVAL
+} = require("../src/main/bridge.cjs");
+const { saveConfig, readConfig } = require("../src/main/config.cjs");
+const { createSettingsStore } = require("../src/main/settings.cjs");
+
+const TEST_DIR = path.join(os.tmpdir(), "radio-voip-bridge-tests-" + Date.now());
+
+// Fake VoIP window recording everything the bridge asks of it
+function createFakeWindow() {
+    const fake = {
+        open: true,
+        isOpen: () => fake.open,
+        send: jest.fn(),
+        loadURL: jest.fn(),
+        loadWaitingPage: jest.fn(),
+        confirmServer: jest.fn().mockResolvedValue(true)
+    };
+    return fake;
+}
+
+// Request the bridge server with its token
+function request(bridge, method, path, body) {
+    return new Promise((resolve, reject) => {
+        const data = body ? JSON.stringify(body) : null;
+        const req = http.request({
+            hostname: "127.0.0.1",
+            port: bridge.getPort(),
+            agent: false, // Every test starts a new server on the same port
+            method,
+            path,
+            headers: {
+                "x-radio-token": bridge.getAuthToken(),
+                ...(data ? { "content-type": "application/json" } : {})
+            }
+        }, (res) => {
+            let text = "";
+            res.on("data", chunk => { text += chunk; });
+            res.on("end", () => resolve({ statusCode: res.statusCode, body: JSON.parse(text) }));
+        });
+        req.on("error", reject);
+        if (data) req.write(data);
+        req.end();
+    });
+}
+
+describe("bridge module", () => {
+    let fakeWindow;
+    let bridge;
+    let configPath;
+
+    beforeAll(() => {
+        fs.mkdirSync(TEST_DIR, { recursive: true });
+    });
+
+    afterAll(() => {
+        fs.rmSync(TEST_DIR, { recursive: true, force: true });
+    });
+
+    beforeEach(async () => {
+        // Sockets still need real ticks, only timers and Date are faked
+        jest.useFakeTimers({ doNotFake: ["nextTick", "setImmediate", "queueMicrotask"] });
+        fakeWindow = createFakeWindow();
+        configPath = path.join(TEST_DIR, `config-${Math.random().toString(36).slice(2)}.json`);
+        bridge = createBridge({
+            windowAdapter: fakeWindow,
+            configPath,
+            startPort: 29400,
+            pttMaxDuration: 60000,
+            pttHeartbeatStale: 15000
+        });
+        await bridge.start();
+    });
+
+    afterEach(async () => {
+        await bridge.stop();
+        jest.useRealTimers();
+    });
+
+    // ==========================================
+    // start / stop tests
+    // ==========================================
+    describe("start", () => {
+        test("should write port, token and capabilities to the config file", () => {
+            const config = readConfig(configPath);
+
+            expect(config.port).toBe(bridge.getPort());
+            expect(config.token).toBe(bridge.getAuthToken());
+            expect(config.capabilities.apiVersion).toBe(1);
+            expect(config.pid).toBe(process.pid);
+            expect(config.startedAt).toBe(Date.now());
+        });
+
+        test("should remove a config left by a crash", async () => {
+            await bridge.stop();
+            saveConfig(configPath, 19800, { pid: 4242 });
+            const log = jest.fn();
+            jest.spyOn(process, "kill").mockImplementation(() => {
+                throw Object.assign(new Error("kill ESRCH"), { code: "ESRCH" });
+            });
+
+            bridge = createBridge({ windowAdapter: fakeWindow, configPath, startPort: 29400, log });
+            await bridge.start();
+            process.kill.mockRestore();
+
+            expect(log).toHaveBeenCalledWith("[Config] Removed stale config:", configPath);
+            expect(readConfig(configPath).pid).toBe(process.pid);
+        });
+
+        test("should serve the routes of the table", async () => {
+            const response = await request(bridge, "GET", "/status");
+
+            expect(response.statusCode).toBe(200);
+            expect(response.body.status).toBe("WAITING_FOR_CONNECTION");
+        });
+    });
+
+    // ==========================================
+    // Window forwarding tests
+    // ==========================================
+    describe("window forwarding", () => {
+        test("should forward renderer events to the window", async () => {
+            await request(bridge, "POST", "/frequencies", { frequencies: [{ frequency: 45.3, earSide: 2 }] });
+            await request(bridge, "POST", "/ptt/press", {});
+
+            expect(fakeWindow.send).toHaveBeenCalledWith("frequencies:update", [
+                { frequency: "45.3", earSide: 2, volume: 100, muted: false }
+            ]);
+            expect(fakeWindow.send).toHaveBeenCalledWith("ptt:press", undefined);
+        });
+
+        test("should not send to a closed window", async () => {
+            fakeWindow.open = false;
+
+            await request(bridge, "POST", "/frequency", { frequency: 45.3 });
+
+            expect(fakeWindow.send).not.toHaveBeenCalled();
+        });
+
+        test("should ask the window before loading a new server", async () => {
+            await bridge.stop();
+            bridge = createBridge({
+                windowAdapter: fakeWindow,
+                settings: createSettingsStore(path.join(TEST_DIR, "settings.json")),
+                startPort: 29400
+            });
+            await bridge.start();
+
+            await request(bridge, "POST", "/connect", { url: "http://voip.example.com:3000/room" });
+
+            expect(fakeWindow.confirmServer).toHaveBeenCalledWith("http://voip.example.com:3000");
+            expect(fakeWindow.loadURL).toHaveBeenCalledWith("http://voip.example.com:3000/room");
+            expect(bridge.getConnectedOrigin()).toBe("http://voip.example.com:3000");
+        });
+
+        test("should replay the radio state to a reloaded page", async () => {
+            await request(bridge, "POST", "/frequencies", { frequencies: [{ frequency: 45.3, earSide: 2 }] });
+            await request(bridge, "POST", "/active-channel", { frequency: 45.3 });
+            fakeWindow.send.mockClear();
+
+            bridge.replayState();
+
+            expect(fakeWindow.send.mock.calls.map(call => call[0])).toEqual(["frequencies:update", "active-channel:change"]);
+        });
+    });
+
+    // ==========================================
+    // Heartbeat tests
+    // ==========================================
+    describe("heartbeat check", () => {
+        beforeEach(async () => {
+            await request(bridge, "POST", "/connect", { url: "http://voip.example.com" });
+        });
+
+        test("should be RECONNECTING after the heartbeat timeout, page kept loaded", async () => {
+            jest.advanceTimersByTime(DEFAULT_HEARTBEAT_TIMEOUT + HEARTBEAT_CHECK_INTERVAL);
+
+            const response = await request(bridge, "GET", "/status");
+            expect(response.body.status).toBe("RECONNECTING");
+            expect(fakeWindow.send).toHaveBeenCalledWith("connection:reconnecting", { since: expect.any(Number) });
+            expect(fakeWindow.loadWaitingPage).not.toHaveBeenCalled();
+            expect(bridge.getState().reconnecting).toBe(true);
+        });
+
+        test("should block PTT while reconnecting", async () => {
+            jest.advanceTimersByTime(DEFAULT_HEARTBEAT_TIMEOUT + HEARTBEAT_CHECK_INTERVAL);
+
+            const response = await request(bridge, "POST", "/ptt/press", {});
+
+            expect(response.statusCode).toBe(409);
+            expect(fakeWindow.send).not.toHaveBeenCalledWith("ptt:press", undefined);
+        });
+
+        test("should restore CONNECTED on heartbeat without reloading", async () => {
+            jest.advanceTimersByTime(DEFAULT_HEARTBEAT_TIMEOUT + HEARTBEAT_CHECK_INTERVAL);
+            fakeWindow.loadURL.mockClear();
+
+            await request(bridge, "POST", "/heartbeat");
+
+            const response = await request(bridge, "GET", "/status");
+            expect(response.body.status).toBe("CONNECTED");
+            expect(fakeWindow.send).toHaveBeenCalledWith("connection:restored", { duration: expect.any(Number) });
+            expect(fakeWindow.loadURL).not.toHaveBeenCalled();
+        });
+
+        test("should replay the reconnecting banner to a reloaded page", () => {
+            jest.advanceTimersByTime(DEFAULT_HEARTBEAT_TIMEOUT + HEARTBEAT_CHECK_INTERVAL);
+            fakeWindow.send.mockClear();
+
+            bridge.replayState();
+
+            expect(fakeWindow.send).toHaveBeenCalledWith("connection:reconnecting", { since: expect.any(Number) });
+        });
+
+        test("should follow the heartbeat timeout negotiated on /connect", async () => {
+            await request(bridge, "POST", "/connect", { url: "http://voip.example.com", heartbeatTimeout: 10000 });
+
+            jest.advanceTimersByTime(12000);
+
+            const response = await request(bridge, "GET", "/status");
+            expect(response.body.status).toBe("RECONNECTING");
+            expect(response.body.heartbeatPolicy).toEqual({ interval: 5000, timeout: 10000 });
+        });
+
+        test("should disconnect when the grace period ends", async () => {
+            jest.advanceTimersByTime(DEFAULT_HEARTBEAT_TIMEOUT + DEFAULT_RECONNECT_GRACE + HEARTBEAT_CHECK_INTERVAL);
+
+            expect(bridge.state.serverURL).toBeNull();
+            expect(bridge.state.reconnectingSince).toBeNull();
+            expect(bridge.getConnectedOrigin()).toBeNull();
+            expect(fakeWindow.loadWaitingPage).toHaveBeenCalled();
+        });
+
+        test("should stay connected while heartbeats arrive", async () => {
+            for (let i = 0; i < 4; i++) {
+                jest.advanceTimersByTime(20000);
+                await request(bridge, "POST", "/heartbeat");
+            }
+
+            expect(bridge.state.serverURL).toBe("http://voip.example.com");
+            expect(fakeWindow.loadWaitingPage).not.toHaveBeenCalled();
+        });
+
+        test("should release PTT when heartbeats go stale", async () => {
+            await request(bridge, "POST", "/ptt/press", {});
+
+            jest.advanceTimersByTime(16000);
+
+            expect(bridge.state.isPTTPressed).toBe(false);
+            expect(fakeWindow.send).toHaveBeenCalledWith("ptt:release", { reason: "heartbeat_stale" });
+        });
+    });
+
+    // ==========================================
+    // Disconnect tests
+    // ==========================================
+    describe("disconnect", () => {
+        test("should release PTT, clear the session and show the waiting page", async () => {
+            await request(bridge, "POST", "/connect", { url: "http://voip.example.com" });
+            await request(bridge, "POST", "/frequencies", { frequencies: [{ frequency: 45.3, earSide: 2 }] });
+            await request(bridge, "POST", "/ptt/press", {});
+
+            bridge.disconnect("renderer_crash");
+
+            expect(fakeWindow.send).toHaveBeenCalledWith("ptt:release", { reason: "disconnect" });
+            expect(bridge.state.serverURL).toBeNull();
+            expect(bridge.getState().frequencies).toEqual([]);
+            expect(fakeWindow.loadWaitingPage).toHaveBeenCalled();
+        });
+
+        test("should do the same on POST /disconnect", async () => {
+            await request(bridge, "POST", "/connect", { url: "http://voip.example.com" });
+
+            await request(bridge, "POST", "/disconnect");
+
+            expect(bridge.state.serverURL).toBeNull();
+            expect(bridge.getConnectedOrigin()).toBeNull();
+            expect(fakeWindow.loadWaitingPage).toHaveBeenCalled();
+        });
+    });
+
+    // ==========================================
+    // Renderer crash tests
+    // ==========================================
+    describe("handleRendererGone", () => {
+        test("should reload the server page after a crash", async () => {
+            await request(bridge, "POST", "/connect", { url: "http://voip.example.com" });
+            fakeWindow.loadURL.mockClear();
+
+            bridge.handleRendererGone({ reason: "crashed" });
+            jest.advanceTimersByTime(1000);
+
+            expect(fakeWindow.loadURL).toHaveBeenCalledWith("http://voip.example.com");
+        });
+
+        test("should give up after too many crashes", () => {
+            for (let i = 0; i < 4; i++) {
+                bridge.handleRendererGone({ reason: "crashed" });
+            }
+
+            expect(fakeWindow.loadWaitingPage).toHaveBeenCalledTimes(1);
+        });
+
+        test("should not reload after a clean exit", () => {
+            bridge.handleRendererGone({ reason: "clean-exit" });
+            jest.advanceTimersByTime(1000);
+
+            expect(fakeWindow.loadWaitingPage).not.toHaveBeenCalled();
+        });
+    });
+
+    // ==========================================
+    // manualConnect tests
+    // ==========================================
+    describe("manualConnect", () => {
+        test("should load an http(s) URL and trust its origin", () => {
+            expect(bridge.manualConnect("https://voip.example.com/room")).toEqual({ success: true });
+
+            expect(fakeWindow.loadURL).toHaveBeenCalledWith("https://voip.example.com/room");
+            expect(bridge.getConnectedOrigin()).toBe("https://voip.example.com");
+        });
+
+        test("should refuse other protocols", () => {
+            expect(bridge.manualConnect("javascript:alert(1)")).toMatchObject({
+                success: false,
+                code: "UNSUPPORTED_PROTOCOL"
+            });
+            expect(fakeWindow.loadURL).not.toHaveBeenCalled();
+        });
+    });
+
+    // ==========================================
+    // shutdown tests
+    // ==========================================
+    describe("shutdown", () => {
+        beforeEach(async () => {
+            await request(bridge, "POST", "/connect", { url: "http://voip.example.com" });
+            await request(bridge, "POST", "/frequencies", {
+                frequencies: [{ frequency: 45.3, earSide: 2 }, { frequency: 87.5, earSide: 0 }]
+            });
+            await request(bridge, "POST", "/ptt/press", {});
+            fakeWindow.send.mockClear();
+        });
+
+        test("should release PTT and leave every channel", async () => {
+            await bridge.shutdown();
+
+            expect(fakeWindow.send.mock.calls).toEqual([
+                ["ptt:release", { reason: "shutdown" }],
+                ["frequency:disconnect", "45.3"],
+                ["frequency:disconnect", "87.5"]
+            ]);
+            expect(bridge.state.serverURL).toBeNull();
+        });
+
+        test("should close the server and delete the config file", async () => {
+            await bridge.shutdown();
+
+            await expect(request(bridge, "GET", "/status")).rejects.toThrow();
+            expect(fs.existsSync(configPath)).toBe(false);
+        });
+
+        test("should not wait for a request still in flight", async () => {
+            // Headers sent, body never finished: the request stays open like a pending /connect
+            const req = http.request({
+                hostname: "127.0.0.1",
+                port: bridge.getPort(),
+                agent: false,
+                method: "POST",
+                path: "/connect",
+                headers: { "x-radio-token": bridge.getAuthToken(), "content-type": "application/json", "content-length": 100 }
+            });
+            req.on("error", () => {});
+            req.write("{");
+            for (let i = 0; i < 20; i++) await new Promise(resolve => setImmediate(resolve));
+
+            await bridge.shutdown();
+
+            expect(fs.existsSync(configPath)).toBe(false);
+            req.destroy();
+        });
+
+        test("should keep a config file written by another instance", async () => {
+            saveConfig(configPath, 19900, { pid: process.pid + 1 });
+
+            await bridge.shutdown();
+
+            expect(readConfig(configPath).port).toBe(19900);
+        });
+    });
+
+    // ==========================================
+    // leaveChannels tests
+    // ==========================================
+    describe("leaveChannels", () => {
+        test("should tell the page to leave its channels but keep the radio state", async () => {
+            await request(bridge, "POST", "/frequencies", { frequencies: [{ frequency: 45.3, earSide: 2 }] });
+            fakeWindow.send.mockClear();
+
+            bridge.leaveChannels();
+
+            expect(fakeWindow.send).toHaveBeenCalledWith("frequency:disconnect", "45.3");
+            expect(bridge.getState().frequencies).toHaveLength(1);
+        });
+    });
+});
@@ -0,0 +1,54 @@
+/**
+ * Unit tests for Capabilities module
+ */
+
+const {
+    APP_VERSION,
+    API_VERSION,
+    API_PREFIX,
+    FEATURES,
+    getCapabilities,
+    getRoutePath
+} = require("../src/main/capabilities.cjs");
+const { version } = require("../package.json");
+
+describe("capabilities module", () => {
+    describe("getCapabilities", () => {
+        test("should report the app version, API version and features", () => {
+            expect(getCapabilities()).toEqual({
+                appVersion: version,
+                apiVersion: API_VERSION,
+                apiPrefix: "/v1",
+                features: FEATURES
+            });
+            expect(APP_VERSION).toBe(version);
+        });
+
+        test("should return a copy of the feature list", () => {
+            getCapabilities().features.push("something");
+
+            expect(FEATURES).not.toContain("something");
+        });
+
+        test("should list each feature once", () => {
+            expect(new Set(FEATURES).size).toBe(FEATURES.length);
+        });
+    });
+
+    describe("getRoutePath", () => {
+        test("should strip the version prefix", () => {
+            expect(getRoutePath(`${API_PREFIX}/ptt/press`)).toBe("/ptt/press");
+            expect(getRoutePath("/v1/frequency/disconnect")).toBe("/frequency/disconnect");
+        });
+
+        test("should keep unprefixed paths", () => {
+            expect(getRoutePath("/status")).toBe("/status");
+        });
+
+        test("should only strip a whole path segment", () => {
+            expect(getRoutePath("/v1")).toBe("/v1");
+            expect(getRoutePath("/v10/status")).toBe("/v10/status");
+            expect(getRoutePath("/v2/status")).toBe("/v2/status");
+        });
+    });
+});
@@ -8,10 +8,14 @@ const os = require("os");
 const {
     loadEnvFile,
     applyEnv,
+    getEnvNumber,
     ensureDirectoryExists,
     saveConfig,
     readConfig,
-    deleteConfig
+    deleteConfig,
+    isProcessAlive,
+    isStaleConfig,
+    removeStaleConfig
 } = require("../src/main/config.cjs");
 
 // Test directory for file operations
@@ -129,6 +133,35 @@ describe("config module", () => {
         });
     });
 
+    // ==========================================
+    // getEnvNumber tests
+    // ==========================================
+    describe("getEnvNumber", () => {
+        afterEach(() => {
+            delete process.env.TEST_NUMBER;
+        });
+
+        test("should read a positive number", () => {
+            process.env.TEST_NUMBER = "45000";
+            expect(getEnvNumber("TEST_NUMBER", 1000)).toBe(45000);
+        });
+
+        test("should fall back when missing", () => {
+            expect(getEnvNumber("TEST_NUMBER", 1000)).toBe(1000);
+        });
+
+        test("should fall back when invalid", () => {
+            process.env.TEST_NUMBER = "abc";
+            expect(getEnvNumber("TEST_NUMBER", 1000)).toBe(1000);
+
+            process.env.TEST_NUMBER = "-5";
+            expect(getEnvNumber("TEST_NUMBER", 1000)).toBe(1000);
+
+            process.env.TEST_NUMBER = "0";
+            expect(getEnvNumber("TEST_NUMBER", 1000)).toBe(1000);
+        });
+    });
+
     // ==========================================
     // ensureDirectoryExists tests
     // ==========================================
@@ -180,6 +213,37 @@ describe("config module", () => {
             });
         });
 
+        test("should save token alongside port and url", () => {
+            const configPath = path.join(TEST_DIR, "config-token.json");
+
+            const saved = saveConfig(configPath, 19802, { token: "abc123" });
+            expect(saved).toBe(true);
+
+            const config = readConfig(configPath);
+            expect(config).toEqual({
+                port: 19802,
+                url: "http://127.0.0.1:19802",
+                token: "abc123"
+            });
+        });
+
+        test("should save capabilities when given", () => {
+            const configPath = path.join(TEST_DIR, "config-capabilities.json");
+            const capabilities = { appVersion: "1.0.2", apiVersion: 1, apiPrefix: "/v1", features: ["ptt"] };
+
+            saveConfig(configPath, 19803, { token: "abc123", capabilities });
+
+            expect(readConfig(configPath).capabilities).toEqual(capabilities);
+        });
+
+        test("should save the pid and launch time when given", () => {
+            const configPath = path.join(TEST_DIR, "config-pid.json");
+
+            saveConfig(configPath, 19804, { token: "abc123", pid: 4242, startedAt: 1700000000000 });
+
+            expect(readConfig(configPath)).toMatchObject({ pid: 4242, startedAt: 1700000000000 });
+        });
+
         test("should create parent directories", () => {
             const configPath = path.join(TEST_DIR, "nested", "dir", "config.json");
 
@@ -224,4 +288,49 @@ describe("config module", () => {
             expect(result).toBe(true);
         });
     });
+
+    // ==========================================
+    // Stale config tests
+    // ==========================================
+    describe("isProcessAlive", () => {
+        test("should find the current process", () => {
+            expect(isProcessAlive(process.pid)).toBe(true);
+        });
+    });
+
+    describe("isStaleConfig", () => {
+        test("should be stale when the process is gone", () => {
+            expect(isStaleConfig({ port: 19800, pid: 4242 }, () => false)).toBe(true);
+        });
+
+        test("should not be stale while the process runs", () => {
+            expect(isStaleConfig({ port: 19800, pid: 4242 }, () => true)).toBe(false);
+        });
+
+        test("should be stale without pid (older versions)", () => {
+            expect(isStaleConfig({ port: 19800 }, () => true)).toBe(true);
+        });
+    });
+
+    describe("removeStaleConfig", () => {
+        test("should delete a config left by a dead process", () => {
+            const configPath = path.join(TEST_DIR, "stale.json");
+            saveConfig(configPath, 19800, { pid: 4242 });
+
+            expect(removeStaleConfig(configPath, () => false)).toBe(true);
+            expect(fs.existsSync(configPath)).toBe(false);
+        });
+
+        test("should keep the config of a running app", () => {
+            const configPath = path.join(TEST_DIR, "running.json");
+            saveConfig(configPath, 19800, { pid: 4242 });
+
+            expect(removeStaleConfig(configPath, () => true)).toBe(false);
+            expect(fs.existsSync(configPath)).toBe(true);
+        });
+
+        test("should do nothing without config", () => {
+            expect(removeStaleConfig(path.join(TEST_DIR, "none.json"))).toBe(false);
+        });
+    });
 });
@@ -0,0 +1,121 @@
+/**
+ * Unit tests for Event Stream module
+ */
+
+const { EventEmitter } = require("events");
+const { formatSSE, createEventStream } = require("../src/main/eventStream.cjs");
+
+// Mock SSE response
+function createMockStream() {
+    const res = new EventEmitter();
+    res.statusCode = null;
+    res.headers = null;
+    res.chunks = [];
+    res.ended = false;
+    res.writeHead = jest.fn((code, headers) => {
+        res.statusCode = code;
+        res.headers = headers;
+    });
+    res.write = jest.fn((chunk) => {
+        res.chunks.push(chunk);
+    });
+    res.end = jest.fn(() => {
+        res.ended = true;
+    });
+    return res;
+}
+
+describe("eventStream module", () => {
+
+    // ==========================================
+    // formatSSE tests
+    // ==========================================
+    describe("formatSSE", () => {
+        test("should format event with JSON data", () => {
+            expect(formatSSE("ptt:press", { a: 1 })).toBe('event: ptt:press\ndata: {"a":1}\n\n');
+        });
+
+        test("should send empty object when no data", () => {
+            expect(formatSSE("ptt:release")).toBe("event: ptt:release\ndata: {}\n\n");
+        });
+
+        test("should serialize strings and arrays", () => {
+            expect(formatSSE("active-channel:change", "45.3")).toBe('event: active-channel:change\ndata: "45.3"\n\n');
+            expect(formatSSE("frequencies:update", [])).toBe("event: frequencies:update\ndata: []\n\n");
+        });
+    });
+
+    // ==========================================
+    // createEventStream tests
+    // ==========================================
+    describe("createEventStream", () => {
+        let events;
+
+        beforeEach(() => {
+            events = createEventStream();
+        });
+
+        afterEach(() => {
+            events.close();
+        });
+
+        test("should open an event-stream response", () => {
+            const res = createMockStream();
+            events.addClient(res);
+
+            expect(res.statusCode).toBe(200);
+            expect(res.headers["Content-Type"]).toBe("text/event-stream");
+            expect(res.headers["Cache-Control"]).toBe("no-cache");
+            expect(events.clientCount).toBe(1);
+        });
+
+        test("should broadcast to every client", () => {
+            const res1 = createMockStream();
+            const res2 = createMockStream();
+            events.addClient(res1);
+            events.addClient(res2);
+
+            events.broadcast("ptt:press");
+
+            expect(res1.write).toHaveBeenLastCalledWith("event: ptt:press\ndata: {}\n\n");
+            expect(res2.write).toHaveBeenLastCalledWith("event: ptt:press\ndata: {}\n\n");
+        });
+
+        test("should remove client when connection closes", () => {
+            const res = createMockStream();
+            events.addClient(res);
+
+            res.emit("close");
+            events.broadcast("ptt:press");
+
+            expect(events.clientCount).toBe(0);
+            expect(res.write).toHaveBeenCalledTimes(1);
+        });
+
+        test("should end every stream on close", () => {
+            const res = createMockStream();
+            events.addClient(res);
+
+            events.close();
+
+            expect(res.ended).toBe(true);
+            expect(events.clientCount).toBe(0);
+        });
+
+        test("should send keep-alive comments", () => {
+            jest.useFakeTimers();
+            try {
+                const stream = createEventStream({ keepAliveInterval: 1000 });
+                const res = createMockStream();
+                stream.addClient(res);
+
+                jest.advanceTimersByTime(1000);
+
+                expect(res.write).toHaveBeenLastCalledWith(": keep-alive\n\n");
+                stream.close();
+            } finally {
+                jest.useRealTimers();
+            }
+        });
+    });
+});
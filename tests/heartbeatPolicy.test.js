@@ -0,0 +1,142 @@
+/**
+ * Unit tests for Heartbeat policy module
+ */
+
+const {
+    DEFAULT_HEARTBEAT_INTERVAL,
+    DEFAULT_HEARTBEAT_TIMEOUT,
+    HEARTBEAT_LIMITS,
+    resolveHeartbeatPolicy,
+    getHeartbeatOverrides,
+    getCheckInterval,
+    createHeartbeatStats
+} = require("../src/main/heartbeatPolicy.cjs");
+
+describe("heartbeatPolicy module", () => {
+    // ==========================================
+    // resolveHeartbeatPolicy tests
+    // ==========================================
+    describe("resolveHeartbeatPolicy", () => {
+        test("should use the defaults when nothing is asked", () => {
+            expect(resolveHeartbeatPolicy()).toEqual({
+                interval: DEFAULT_HEARTBEAT_INTERVAL,
+                timeout: DEFAULT_HEARTBEAT_TIMEOUT
+            });
+        });
+
+        test("should use the values asked by the mod", () => {
+            expect(resolveHeartbeatPolicy({ interval: 2000, timeout: 10000 })).toEqual({ interval: 2000, timeout: 10000 });
+        });
+
+        test("should prefer user overrides to the mod", () => {
+            expect(resolveHeartbeatPolicy({ interval: 2000, timeout: 10000 }, { timeout: 60000 })).toEqual({
+                interval: 2000,
+                timeout: 60000
+            });
+        });
+
+        test("should fall back to the given defaults", () => {
+            expect(resolveHeartbeatPolicy({}, {}, { interval: 3000, timeout: 20000 })).toEqual({
+                interval: 3000,
+                timeout: 20000
+            });
+        });
+
+        test("should clamp values to the limits", () => {
+            expect(resolveHeartbeatPolicy({ interval: 10, timeout: 1 })).toEqual({
+                interval: HEARTBEAT_LIMITS.interval.min,
+                timeout: HEARTBEAT_LIMITS.timeout.min
+            });
+            expect(resolveHeartbeatPolicy({ interval: 1e9, timeout: 1e9 })).toEqual({
+                interval: HEARTBEAT_LIMITS.interval.max,
+                timeout: HEARTBEAT_LIMITS.timeout.max
+            });
+        });
+
+        test("should keep the timeout above two intervals", () => {
+            expect(resolveHeartbeatPolicy({ interval: 20000, timeout: 10000 })).toEqual({ interval: 20000, timeout: 40000 });
+        });
+
+        test("should ignore values that are not positive numbers", () => {
+            expect(resolveHeartbeatPolicy({ interval: 0, timeout: -5 }, { interval: "fast" })).toEqual({
+                interval: DEFAULT_HEARTBEAT_INTERVAL,
+                timeout: DEFAULT_HEARTBEAT_TIMEOUT
+            });
+        });
+    });
+
+    // ==========================================
+    // getHeartbeatOverrides tests
+    // ==========================================
+    describe("getHeartbeatOverrides", () => {
+        test("should read the settings", () => {
+            const values = { heartbeatInterval: 2000, heartbeatTimeout: null };
+            const settings = { get: (key) => values[key] };
+
+            expect(getHeartbeatOverrides(settings)).toEqual({ interval: 2000, timeout: undefined });
+        });
+
+        test("should return no override without settings", () => {
+            expect(getHeartbeatOverrides(undefined)).toEqual({});
+        });
+    });
+
+    // ==========================================
+    // getCheckInterval tests
+    // ==========================================
+    describe("getCheckInterval", () => {
+        test("should check a sixth of the timeout, between 1 and 5 seconds", () => {
+            expect(getCheckInterval({ timeout: 30000 })).toBe(5000);
+            expect(getCheckInterval({ timeout: 12000 })).toBe(2000);
+            expect(getCheckInterval({ timeout: 5000 })).toBe(1000);
+            expect(getCheckInterval({ timeout: 120000 })).toBe(5000);
+        });
+    });
+
+    // ==========================================
+    // createHeartbeatStats tests
+    // ==========================================
+    describe("createHeartbeatStats", () => {
+        test("should start empty", () => {
+            expect(createHeartbeatStats().getStats()).toEqual({
+                count: 0,
+                lastAt: null,
+                interval: null,
+                jitter: null,
+                latency: null
+            });
+        });
+
+        test("should track intervals and jitter", () => {
+            const stats = createHeartbeatStats();
+            stats.record(1000);
+            stats.record(6000);
+            stats.record(12000);
+            stats.record(16000);
+
+            expect(stats.getStats()).toEqual({
+                count: 4,
+                lastAt: 16000,
+                interval: { last: 4000, average: 5000 },
+                jitter: 1500, // |6000 - 5000| and |4000 - 6000|
+                latency: null
+            });
+        });
+
+        test("should track latency from the mod timestamps", () => {
+            const stats = createHeartbeatStats();
+            stats.record(1010, 1000);
+            stats.record(6030, 6000);
+            stats.record(11000);
+
+            expect(stats.getStats().latency).toEqual({ last: 30, average: 20, max: 30 });
+        });
+
+        test("should not report a negative latency", () => {
+            const stats = createHeartbeatStats();
+            stats.record(1000, 1500);
+
+            expect(stats.getStats().latency.last).toBe(0);
+        });
+    });
+});
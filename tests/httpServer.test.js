@@ -4,16 +4,24 @@
 
 const http = require("http");
 const {
+    generateAuthToken,
+    isAuthorized,
+    isJSONContentType,
     parseJSONBody,
     findFreePort,
-    isValidFrequency,
-    isValidFrequenciesArray,
+    normalizeFrequency,
+    isStalePTTCommand,
     frequencyToString,
+    isAllowedOrigin,
+    isAllowedHost,
+    validateRequestSource,
     setCORSHeaders,
     sendJSON,
     getConnectionStatus,
     createRequestHandler
 } = require("../src/main/httpServer.cjs");
+const { createRadioState } = require("../src/main/radioState.cjs");
+const { createRequestLimits } = require("../src/main/requestLimits.cjs");
 
 // Mock HTTP response
 function createMockResponse() {
@@ -43,7 +51,7 @@ function createMockRequest(method, url, body = null, headers = {}) {
     const req = new EventEmitter();
     req.method = method;
     req.url = url;
-    req.headers = headers;
+    req.headers = body ? { "content-type": "application/json", ...headers } : headers;
 
     // Simulate body data
     if (body) {
@@ -83,14 +91,14 @@ describe("httpServer module", () => {
             const req = new EventEmitter();
             req.method = "POST";
             req.url = "/test";
-            req.headers = {};
+            req.headers = { "content-type": "application/json" };
 
             setTimeout(() => {
                 req.emit("data", "invalid json {{{");
                 req.emit("end");
             }, 0);
 
-            await expect(parseJSONBody(req)).rejects.toThrow();
+            await expect(parseJSONBody(req)).rejects.toThrow(SyntaxError);
         });
 
         test("should reject on request error", async () => {
@@ -106,6 +114,57 @@ describe("httpServer module", () => {
 
             await expect(parseJSONBody(req)).rejects.toThrow("Connection reset");
         });
+
+        test("should accept a JSON content type with charset", async () => {
+            const req = createMockRequest("POST", "/test", { key: "value" }, {
+                "content-type": "application/json; charset=utf-8"
+            });
+
+            await expect(parseJSONBody(req)).resolves.toEqual({ key: "value" });
+        });
+
+        test("should reject a body that is not application/json with 415", async () => {
+            const req = createMockRequest("POST", "/test", { key: "value" }, { "content-type": "text/plain" });
+
+            await expect(parseJSONBody(req)).rejects.toMatchObject({ statusCode: 415 });
+        });
+
+        test("should reject a declared Content-Length above the limit with 413", async () => {
+            const req = createMockRequest("POST", "/test", null, { "content-length": "2048" });
+
+            await expect(parseJSONBody(req, { maxBodySize: 1024 })).rejects.toMatchObject({
+                statusCode: 413,
+                message: "Request body too large"
+            });
+        });
+
+        test("should stop reading a streamed body above the limit with 413", async () => {
+            const req = createMockRequest("POST", "/test", { data: "x".repeat(2000) });
+
+            await expect(parseJSONBody(req, { maxBodySize: 1024 })).rejects.toMatchObject({ statusCode: 413 });
+        });
+
+        test("should reject a body that never ends with 408", async () => {
+            const { EventEmitter } = require("events");
+            const req = new EventEmitter();
+            req.headers = { "content-type": "application/json" };
+
+            await expect(parseJSONBody(req, { timeout: 20 })).rejects.toMatchObject({ statusCode: 408 });
+        });
+    });
+
+    describe("isJSONContentType", () => {
+        test("should accept application/json with parameters", () => {
+            expect(isJSONContentType("application/json")).toBe(true);
+            expect(isJSONContentType("Application/JSON; charset=utf-8")).toBe(true);
+        });
+
+        test("should refuse other types", () => {
+            expect(isJSONContentType("text/plain")).toBe(false);
+            expect(isJSONContentType("application/x-www-form-urlencoded")).toBe(false);
+            expect(isJSONContentType("application/jsonp")).toBe(false);
+            expect(isJSONContentType(undefined)).toBe(false);
+        });
     });
 
     // ==========================================
@@ -133,64 +192,79 @@ describe("httpServer module", () => {
     });
 
     // ==========================================
-    // isValidFrequency tests
+    // generateAuthToken / isAuthorized tests
     // ==========================================
-    describe("isValidFrequency", () => {
-        test("should return true for valid frequency object", () => {
-            expect(isValidFrequency({ frequency: 45.3, earSide: 0 })).toBe(true);
-            expect(isValidFrequency({ frequency: 100.0, earSide: 1 })).toBe(true);
-            expect(isValidFrequency({ frequency: 87.5, earSide: 2 })).toBe(true);
+    describe("generateAuthToken", () => {
+        test("should generate a 64 character hex token", () => {
+            expect(generateAuthToken()).toMatch(/^[0-9a-f]{64}$/);
         });
 
-        test("should return false for invalid earSide values", () => {
-            expect(isValidFrequency({ frequency: 45.3, earSide: 3 })).toBe(false);
-            expect(isValidFrequency({ frequency: 45.3, earSide: -1 })).toBe(false);
-            expect(isValidFrequency({ frequency: 45.3, earSide: 10 })).toBe(false);
+        test("should generate a different token each time", () => {
+            expect(generateAuthToken()).not.toBe(generateAuthToken());
+        });
+    });
+
+    describe("isAuthorized", () => {
+        test("should accept matching token header", () => {
+            const req = { headers: { "x-radio-token": "secret" } };
+            expect(isAuthorized(req, "secret")).toBe(true);
         });
 
-        test("should return false for missing properties", () => {
-            expect(isValidFrequency({ frequency: 45.3 })).toBe(false);
-            expect(isValidFrequency({ earSide: 0 })).toBe(false);
-            expect(isValidFrequency({})).toBe(false);
+        test("should reject missing or wrong token", () => {
+            expect(isAuthorized({ headers: {} }, "secret")).toBe(false);
+            expect(isAuthorized({ headers: { "x-radio-token": "wrong" } }, "secret")).toBe(false);
+            expect(isAuthorized({ headers: { "x-radio-token": "secre" } }, "secret")).toBe(false);
         });
 
-        test("should return false for wrong types", () => {
-            expect(isValidFrequency({ frequency: "45.3", earSide: 0 })).toBe(false);
-            expect(isValidFrequency({ frequency: 45.3, earSide: "0" })).toBe(false);
-            expect(isValidFrequency(null)).toBe(false);
-            expect(isValidFrequency(undefined)).toBe(false);
-            expect(isValidFrequency("string")).toBe(false);
-            expect(isValidFrequency(123)).toBe(false);
+        test("should accept the token as a query parameter on GET /events only", () => {
+            expect(isAuthorized({ method: "GET", url: "/events?token=secret", headers: {} }, "secret")).toBe(true);
+            expect(isAuthorized({ method: "GET", url: "/v1/events?token=secret", headers: {} }, "secret")).toBe(true);
+            expect(isAuthorized({ method: "POST", url: "/ptt/press?token=secret", headers: {} }, "secret")).toBe(false);
+            expect(isAuthorized({ method: "POST", url: "/connect?token=secret", headers: {} }, "secret")).toBe(false);
+            expect(isAuthorized({ method: "GET", url: "/status?token=secret", headers: {} }, "secret")).toBe(false);
+        });
+
+        test("should reject when no token is configured", () => {
+            expect(isAuthorized({ headers: { "x-radio-token": "secret" } }, null)).toBe(false);
         });
     });
 
     // ==========================================
-    // isValidFrequenciesArray tests
+    // normalizeFrequency tests
     // ==========================================
-    describe("isValidFrequenciesArray", () => {
-        test("should return true for valid array", () => {
-            expect(isValidFrequenciesArray([
-                { frequency: 45.3, earSide: 0 },
-                { frequency: 100.0, earSide: 1 }
-            ])).toBe(true);
+    describe("normalizeFrequency", () => {
+        test("should stringify frequency and apply defaults", () => {
+            expect(normalizeFrequency({ frequency: 45.3, earSide: 1 })).toEqual({
+                frequency: "45.3", earSide: 1, volume: 100, muted: false
+            });
         });
 
-        test("should return true for empty array", () => {
-            expect(isValidFrequenciesArray([])).toBe(true);
+        test("should keep given volume and muted", () => {
+            expect(normalizeFrequency({ frequency: 45.3, earSide: 1, volume: 30, muted: true })).toEqual({
+                frequency: "45.3", earSide: 1, volume: 30, muted: true
+            });
+        });
+    });
+
+    // ==========================================
+    // isStalePTTCommand tests
+    // ==========================================
+    describe("isStalePTTCommand", () => {
+        test("should never flag commands without sequence", () => {
+            expect(isStalePTTCommand(undefined, 10)).toBe(false);
         });
 
-        test("should return false for non-array", () => {
-            expect(isValidFrequenciesArray(null)).toBe(false);
-            expect(isValidFrequenciesArray(undefined)).toBe(false);
-            expect(isValidFrequenciesArray({})).toBe(false);
-            expect(isValidFrequenciesArray("array")).toBe(false);
+        test("should accept first sequenced command", () => {
+            expect(isStalePTTCommand(0, null)).toBe(false);
         });
 
-        test("should return false if any frequency is invalid", () => {
-            expect(isValidFrequenciesArray([
-                { frequency: 45.3, earSide: 0 },
-                { frequency: 100.0, earSide: 5 } // invalid earSide
-            ])).toBe(false);
+        test("should flag older or repeated sequence", () => {
+            expect(isStalePTTCommand(4, 5)).toBe(true);
+            expect(isStalePTTCommand(5, 5)).toBe(true);
+        });
+
+        test("should accept newer sequence", () => {
+            expect(isStalePTTCommand(6, 5)).toBe(false);
         });
     });
 
@@ -204,6 +278,12 @@ describe("httpServer module", () => {
             expect(frequencyToString(0)).toBe("0");
         });
 
+        test("should format to canonical channel", () => {
+            expect(frequencyToString(45.30)).toBe("45.3");
+            expect(frequencyToString(45.3000001)).toBe("45.3");
+            expect(frequencyToString(45.325, { decimals: 3 })).toBe("45.325");
+        });
+
         test("should handle edge cases", () => {
             expect(frequencyToString(NaN)).toBe("NaN");
             expect(frequencyToString(Infinity)).toBe("Infinity");
@@ -220,7 +300,7 @@ describe("httpServer module", () => {
 
             expect(res.setHeader).toHaveBeenCalledWith("Access-Control-Allow-Origin", "http://localhost:3000");
             expect(res.setHeader).toHaveBeenCalledWith("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
-            expect(res.setHeader).toHaveBeenCalledWith("Access-Control-Allow-Headers", "Content-Type");
+            expect(res.setHeader).toHaveBeenCalledWith("Access-Control-Allow-Headers", "Content-Type, X-Radio-Token");
         });
 
         test("should set CORS headers for 127.0.0.1 origin", () => {
@@ -245,6 +325,97 @@ describe("httpServer module", () => {
         });
     });
 
+    // ==========================================
+    // Origin / Host validation tests
+    // ==========================================
+    describe("isAllowedOrigin", () => {
+        test("should accept exact loopback origins", () => {
+            expect(isAllowedOrigin("http://localhost:3000")).toBe(true);
+            expect(isAllowedOrigin("http://127.0.0.1:5000")).toBe(true);
+            expect(isAllowedOrigin("https://localhost")).toBe(true);
+            expect(isAllowedOrigin("http://[::1]:8080")).toBe(true);
+        });
+
+        test("should reject origins that only contain a loopback name", () => {
+            expect(isAllowedOrigin("http://localhost.evil.com")).toBe(false);
+            expect(isAllowedOrigin("http://127.0.0.1.evil.com")).toBe(false);
+            expect(isAllowedOrigin("http://evil.com/localhost")).toBe(false);
+            expect(isAllowedOrigin("http://evillocalhost")).toBe(false);
+            expect(isAllowedOrigin("http://evil.com?127.0.0.1")).toBe(false);
+        });
+
+        test("should reject credentials and trailing parts", () => {
+            expect(isAllowedOrigin("http://127.0.0.1@evil.com")).toBe(false);
+            expect(isAllowedOrigin("http://localhost@evil.com:3000")).toBe(false);
+            expect(isAllowedOrigin("http://localhost:3000/")).toBe(false);
+            expect(isAllowedOrigin("http://localhost.:3000")).toBe(false);
+        });
+
+        test("should reject non-http schemes and opaque origins", () => {
+            expect(isAllowedOrigin("file://localhost")).toBe(false);
+            expect(isAllowedOrigin("ws://localhost:3000")).toBe(false);
+            expect(isAllowedOrigin("null")).toBe(false);
+            expect(isAllowedOrigin("")).toBe(false);
+            expect(isAllowedOrigin(undefined)).toBe(false);
+        });
+
+        test("should not echo a bypass origin in CORS headers", () => {
+            const res = createMockResponse();
+            setCORSHeaders(res, "http://localhost.evil.com");
+
+            expect(res.setHeader).toHaveBeenCalledWith("Access-Control-Allow-Origin", "http://127.0.0.1");
+        });
+    });
+
+    describe("isAllowedHost", () => {
+        test("should accept 127.0.0.1 with the listening port", () => {
+            expect(isAllowedHost("127.0.0.1:19800", 19800)).toBe(true);
+        });
+
+        test("should reject other hosts and ports", () => {
+            expect(isAllowedHost("evil.com:19800", 19800)).toBe(false);
+            expect(isAllowedHost("localhost:19800", 19800)).toBe(false);
+            expect(isAllowedHost("127.0.0.1:19801", 19800)).toBe(false);
+            expect(isAllowedHost("127.0.0.1", 19800)).toBe(false);
+            expect(isAllowedHost(undefined, 19800)).toBe(false);
+        });
+    });
+
+    describe("validateRequestSource", () => {
+        test("should allow DayZ requests without Origin", () => {
+            const req = createMockRequest("POST", "/ptt/press", null, { host: "127.0.0.1:19800" });
+
+            expect(validateRequestSource(req, 19800)).toBeNull();
+        });
+
+        test("should reject a rebound Host header", () => {
+            const req = createMockRequest("GET", "/status", null, { host: "rebind.evil.com:19800" });
+
+            expect(validateRequestSource(req, 19800)).toBe("Invalid Host header");
+        });
+
+        test("should reject a foreign Origin", () => {
+            const req = createMockRequest("POST", "/connect", null, {
+                host: "127.0.0.1:19800",
+                origin: "http://localhost.evil.com"
+            });
+
+            expect(validateRequestSource(req, 19800)).toBe("Origin not allowed");
+        });
+
+        test("should reject a preflight without Origin", () => {
+            const req = createMockRequest("OPTIONS", "/status", null, { host: "127.0.0.1:19800" });
+
+            expect(validateRequestSource(req, 19800)).toBe("Origin not allowed");
+        });
+
+        test("should skip the Host check when no port is given", () => {
+            const req = createMockRequest("GET", "/status");
+
+            expect(validateRequestSource(req)).toBeNull();
+        });
+    });
+
     // ==========================================
     // sendJSON tests
     // ==========================================
@@ -296,7 +467,8 @@ describe("httpServer module", () => {
                 mainWindow: {},
                 isPTTPressed: false,
                 serverURL: null,
-                lastHeartbeat: null
+                lastHeartbeat: null,
+                radio: createRadioState()
             };
             callbacks = {
                 onPTTPress: jest.fn(),
@@ -313,7 +485,7 @@ describe("httpServer module", () => {
         });
 
         test("should handle OPTIONS request", async () => {
-            const req = createMockRequest("OPTIONS", "/any");
+            const req = createMockRequest("OPTIONS", "/any", null, { origin: "http://localhost:3000" });
             const res = createMockResponse();
 
             await handler(req, res);
@@ -349,6 +521,7 @@ describe("httpServer module", () => {
             await new Promise(resolve => setTimeout(resolve, 10));
 
             expect(state.isPTTPressed).toBe(true);
+            expect(state.pttPressedAt).not.toBeNull();
             expect(callbacks.onPTTPress).toHaveBeenCalled();
             expect(res.statusCode).toBe(200);
         });
@@ -375,9 +548,22 @@ describe("httpServer module", () => {
             await new Promise(resolve => setTimeout(resolve, 10));
 
             expect(state.isPTTPressed).toBe(false);
+            expect(state.pttPressedAt).toBeNull();
             expect(callbacks.onPTTRelease).toHaveBeenCalled();
         });
 
+        test("should report last PTT auto release in /status", async () => {
+            state.pttAutoRelease = { reason: "max_duration", at: 123 };
+
+            const req = createMockRequest("GET", "/status");
+            const res = createMockResponse();
+
+            await handler(req, res);
+            await new Promise(resolve => setTimeout(resolve, 10));
+
+            expect(JSON.parse(res.body).pttAutoRelease).toEqual({ reason: "max_duration", at: 123 });
+        });
+
         test("should handle /connect POST", async () => {
             const req = createMockRequest("POST", "/connect", { url: "http://voip.server.com" });
             const res = createMockResponse();
@@ -398,7 +584,112 @@ describe("httpServer module", () => {
             await new Promise(resolve => setTimeout(resolve, 10));
 
             expect(res.statusCode).toBe(400);
-            expect(JSON.parse(res.body).error).toBe("Missing url parameter");
+            expect(JSON.parse(res.body)).toEqual({
+                error: "Invalid request body",
+                details: [{ field: "url", message: "is required" }],
+                code: "MISSING_URL"
+            });
+        });
+
+        test("should send MISSING_URL for an empty url", async () => {
+            const res = createMockResponse();
+
+            await handler(createMockRequest("POST", "/connect", { url: "" }), res);
+
+            expect(res.statusCode).toBe(400);
+            expect(JSON.parse(res.body)).toEqual({
+                error: "Invalid request body",
+                details: [{ field: "url", message: "must not be empty" }],
+                code: "MISSING_URL"
+            });
+        });
+
+        test("should only send MISSING_URL when the url is missing", async () => {
+            const res = createMockResponse();
+
+            await handler(createMockRequest("POST", "/connect", { url: 5 }), res);
+
+            expect(res.statusCode).toBe(400);
+            expect(JSON.parse(res.body).code).toBeUndefined();
+        });
+
+        test("should reject /connect to a file URL", async () => {
+            const req = createMockRequest("POST", "/connect", { url: "file:///C:/Windows/win.ini" });
+            const res = createMockResponse();
+
+            await handler(req, res);
+            await new Promise(resolve => setTimeout(resolve, 10));
+
+            expect(res.statusCode).toBe(400);
+            expect(JSON.parse(res.body).code).toBe("UNSUPPORTED_PROTOCOL");
+            expect(state.serverURL).toBeNull();
+            expect(callbacks.onConnect).not.toHaveBeenCalled();
+        });
+
+        describe("with settings", () => {
+            let settings;
+
+            beforeEach(() => {
+                const values = { allowedServers: ["http://voip.server.com"], restrictToAllowedServers: false };
+                settings = {
+                    get: key => values[key],
+                    set: jest.fn((key, value) => {
+                        values[key] = value;
+                        return true;
+                    })
+                };
+                handler = createRequestHandler(state, callbacks, { settings });
+            });
+
+            test("should connect to an allowed server", async () => {
+                const req = createMockRequest("POST", "/connect", { url: "http://voip.server.com/room" });
+                const res = createMockResponse();
+
+                await handler(req, res);
+                await new Promise(resolve => setTimeout(resolve, 10));
+
+                expect(res.statusCode).toBe(200);
+                expect(state.serverURL).toBe("http://voip.server.com/room");
+            });
+
+            test("should ask before connecting to a new server", async () => {
+                callbacks.confirmServer = jest.fn().mockResolvedValue(true);
+                const req = createMockRequest("POST", "/connect", { url: "https://new.server.com" });
+                const res = createMockResponse();
+
+                await handler(req, res);
+                await new Promise(resolve => setTimeout(resolve, 10));
+
+                expect(callbacks.confirmServer).toHaveBeenCalledWith("https://new.server.com");
+                expect(res.statusCode).toBe(200);
+                expect(settings.set).toHaveBeenCalledWith("allowedServers", ["http://voip.server.com", "https://new.server.com"]);
+            });
+
+            test("should warn when the approved server could not be saved", async () => {
+                callbacks.confirmServer = jest.fn().mockResolvedValue(true);
+                settings.set.mockReturnValue(false);
+                const res = createMockResponse();
+
+                await handler(createMockRequest("POST", "/connect", { url: "https://new.server.com" }), res);
+                await new Promise(resolve => setTimeout(resolve, 10));
+
+                expect(res.statusCode).toBe(200);
+                expect(JSON.parse(res.body).warning).toBe("Server allowed until the app restarts, settings.json could not be saved");
+                expect(state.serverURL).toBe("https://new.server.com");
+            });
+
+            test("should return SERVER_REFUSED when the user declines", async () => {
+                callbacks.confirmServer = jest.fn().mockResolvedValue(false);
+                const req = createMockRequest("POST", "/connect", { url: "https://phishing.example.com" });
+                const res = createMockResponse();
+
+                await handler(req, res);
+                await new Promise(resolve => setTimeout(resolve, 10));
+
+                expect(res.statusCode).toBe(403);
+                expect(JSON.parse(res.body).code).toBe("SERVER_REFUSED");
+                expect(callbacks.onConnect).not.toHaveBeenCalled();
+            });
         });
 
         test("should handle /disconnect POST", async () => {
@@ -411,6 +702,36 @@ describe("httpServer module", () => {
             expect(callbacks.onDisconnect).toHaveBeenCalledWith("manual");
         });
 
+        test("should end the session on /disconnect POST", async () => {
+            state.serverURL = "http://voip.server.com";
+            state.isPTTPressed = true;
+            state.pttSequence = 4;
+            state.radio.setFrequencies([{ frequency: "45.3", earSide: 2 }]);
+            const req = createMockRequest("POST", "/disconnect");
+            const res = createMockResponse();
+
+            await handler(req, res);
+            await new Promise(resolve => setTimeout(resolve, 10));
+
+            expect(state.serverURL).toBeNull();
+            expect(state.isPTTPressed).toBe(false);
+            expect(state.pttSequence).toBeNull();
+            expect(state.radio.getFrequencies()).toEqual([]);
+            expect(callbacks.onPTTRelease).toHaveBeenCalledWith({ reason: "disconnect" });
+        });
+
+        test("should log rejected requests when a logger is given", async () => {
+            const log = jest.fn();
+            handler = createRequestHandler(state, callbacks, { authToken: "secret", log });
+            const req = createMockRequest("GET", "/status");
+            const res = createMockResponse();
+
+            await handler(req, res);
+
+            expect(res.statusCode).toBe(401);
+            expect(log).toHaveBeenCalledWith("[HTTP] Unauthorized request:", "GET", "/status");
+        });
+
         test("should handle /heartbeat POST", async () => {
             const req = createMockRequest("POST", "/heartbeat");
             const res = createMockResponse();
@@ -444,8 +765,8 @@ describe("httpServer module", () => {
             await new Promise(resolve => setTimeout(resolve, 10));
 
             expect(callbacks.onFrequenciesUpdate).toHaveBeenCalledWith([
-                { frequency: "45.3", earSide: 0 },
-                { frequency: "100", earSide: 2 }
+                { frequency: "45.3", earSide: 0, volume: 100, muted: false },
+                { frequency: "100", earSide: 2, volume: 100, muted: false }
             ]);
         });
 
@@ -460,6 +781,7 @@ describe("httpServer module", () => {
         });
 
         test("should handle /active-channel POST", async () => {
+            state.radio.setFrequencies([{ frequency: "45.3", earSide: 0 }]);
             const req = createMockRequest("POST", "/active-channel", { frequency: 45.3 });
             const res = createMockResponse();
 
@@ -470,6 +792,7 @@ describe("httpServer module", () => {
         });
 
         test("should handle /ear-side POST", async () => {
+            state.radio.setFrequencies([{ frequency: "45.3", earSide: 0 }]);
             const req = createMockRequest("POST", "/ear-side", { frequency: 45.3, earSide: 1 });
             const res = createMockResponse();
 
@@ -479,6 +802,54 @@ describe("httpServer module", () => {
             expect(callbacks.onEarSideChange).toHaveBeenCalledWith({ frequency: "45.3", earSide: 1 });
         });
 
+        test("should reject /active-channel for a frequency that is not tuned", async () => {
+            const req = createMockRequest("POST", "/active-channel", { frequency: 45.3 });
+            const res = createMockResponse();
+
+            await handler(req, res);
+            await new Promise(resolve => setTimeout(resolve, 10));
+
+            expect(res.statusCode).toBe(409);
+            expect(JSON.parse(res.body).error).toBe("Frequency 45.3 is not tuned");
+            expect(callbacks.onActiveChannelChange).not.toHaveBeenCalled();
+        });
+
+        test("should reject /ear-side for a frequency that is not tuned", async () => {
+            const req = createMockRequest("POST", "/ear-side", { frequency: 45.3, earSide: 1 });
+            const res = createMockResponse();
+
+            await handler(req, res);
+            await new Promise(resolve => setTimeout(resolve, 10));
+
+            expect(res.statusCode).toBe(409);
+            expect(callbacks.onEarSideChange).not.toHaveBeenCalled();
+        });
+
+        test("should handle /frequencies GET", async () => {
+            state.radio.setFrequencies([{ frequency: "45.3", earSide: 0 }]);
+            state.radio.setActiveChannel("45.3");
+
+            const req = createMockRequest("GET", "/frequencies");
+            const res = createMockResponse();
+
+            await handler(req, res);
+            await new Promise(resolve => setTimeout(resolve, 10));
+
+            expect(res.statusCode).toBe(200);
+            expect(JSON.parse(res.body)).toEqual({
+                frequencies: [{ frequency: "45.3", earSide: 0, volume: 100, muted: false }],
+                activeChannel: "45.3",
+                muted: false
+            });
+        });
+
+        test("should create a radio state when none is given", () => {
+            const bareState = { mainWindow: {}, isPTTPressed: false, serverURL: null };
+            createRequestHandler(bareState, callbacks);
+
+            expect(bareState.radio.getFrequencies()).toEqual([]);
+        });
+
         test("should reject invalid earSide in /ear-side", async () => {
             const req = createMockRequest("POST", "/ear-side", { frequency: 45.3, earSide: 5 });
             const res = createMockResponse();
@@ -490,6 +861,7 @@ describe("httpServer module", () => {
         });
 
         test("should handle /frequency/disconnect POST", async () => {
+            state.radio.setFrequencies([{ frequency: "45.3", earSide: 0 }]);
             const req = createMockRequest("POST", "/frequency/disconnect", { frequency: 45.3 });
             const res = createMockResponse();
 
@@ -508,5 +880,216 @@ describe("httpServer module", () => {
 
             expect(res.statusCode).toBe(404);
         });
+
+        describe("with limits", () => {
+            let limits;
+
+            beforeEach(() => {
+                limits = createRequestLimits({
+                    rateLimits: { "/frequencies": { capacity: 2, refillPerSecond: 1 } },
+                    now: () => 0
+                });
+                handler = createRequestHandler(state, callbacks, { limits, maxBodySize: 256 });
+            });
+
+            test("should answer 429 once a route bucket is empty", async () => {
+                const body = { frequencies: [{ frequency: 45.3, earSide: 0 }] };
+                const statuses = [];
+                for (let i = 0; i < 3; i++) {
+                    const res = createMockResponse();
+                    await handler(createMockRequest("POST", "/frequencies", body), res);
+                    statuses.push(res.statusCode);
+                }
+
+                expect(statuses).toEqual([200, 200, 429]);
+                expect(callbacks.onFrequenciesUpdate).toHaveBeenCalledTimes(2);
+            });
+
+            test("should send Retry-After with 429", async () => {
+                for (let i = 0; i < 2; i++) {
+                    await handler(createMockRequest("POST", "/frequencies", { frequencies: [] }), createMockResponse());
+                }
+                const res = createMockResponse();
+                await handler(createMockRequest("POST", "/frequencies", { frequencies: [] }), res);
+
+                expect(res.headers["Retry-After"]).toBe("1");
+                expect(JSON.parse(res.body)).toEqual({ error: "Too many requests", retryAfter: 1 });
+            });
+
+            test("should share the bucket of a route and its /v1 path", async () => {
+                const body = { frequencies: [] };
+                await handler(createMockRequest("POST", "/frequencies", body), createMockResponse());
+                await handler(createMockRequest("POST", "/v1/frequencies", body), createMockResponse());
+                const res = createMockResponse();
+                await handler(createMockRequest("POST", "/v1/frequencies", body), res);
+
+                expect(res.statusCode).toBe(429);
+                expect(limits.getStats().rateLimited).toEqual({ "/frequencies": 1 });
+            });
+
+            test("should keep separate buckets per route", async () => {
+                for (let i = 0; i < 3; i++) {
+                    await handler(createMockRequest("POST", "/frequencies", { frequencies: [] }), createMockResponse());
+                }
+                const res = createMockResponse();
+                await handler(createMockRequest("POST", "/ptt/press"), res);
+
+                expect(res.statusCode).toBe(200);
+            });
+
+            test("should never rate limit /ptt/release and /disconnect", async () => {
+                limits = createRequestLimits({ rateLimits: { "*": { capacity: 1, refillPerSecond: 1 } }, now: () => 0 });
+                handler = createRequestHandler(state, callbacks, { limits });
+                await handler(createMockRequest("POST", "/ptt/press"), createMockResponse());
+                const pressed = createMockResponse();
+                await handler(createMockRequest("POST", "/ptt/press"), pressed);
+
+                const statuses = [];
+                for (const path of ["/ptt/release", "/ptt/release", "/disconnect", "/disconnect"]) {
+                    const res = createMockResponse();
+                    await handler(createMockRequest("POST", path), res);
+                    statuses.push(res.statusCode);
+                }
+
+                expect(pressed.statusCode).toBe(429);
+                expect(statuses).toEqual([200, 200, 200, 200]);
+                expect(state.isPTTPressed).toBe(false);
+            });
+
+            test("should answer 413 for a large body", async () => {
+                const res = createMockResponse();
+                await handler(createMockRequest("POST", "/connect", { url: "http://" + "a".repeat(300) + ".com" }), res);
+
+                expect(res.statusCode).toBe(413);
+                expect(state.serverURL).toBeNull();
+            });
+
+            test("should answer 415 for a text/plain body", async () => {
+                const req = createMockRequest("POST", "/connect", { url: "http://voip.server.com" }, { "content-type": "text/plain" });
+                const res = createMockResponse();
+                await handler(req, res);
+
+                expect(res.statusCode).toBe(415);
+                expect(callbacks.onConnect).not.toHaveBeenCalled();
+            });
+
+            test("should report counters in /status", async () => {
+                for (let i = 0; i < 3; i++) {
+                    await handler(createMockRequest("POST", "/frequencies", { frequencies: [] }), createMockResponse());
+                }
+                await handler(createMockRequest("POST", "/connect", { url: "x".repeat(300) }), createMockResponse());
+
+                const res = createMockResponse();
+                await handler(createMockRequest("GET", "/status"), res);
+
+                expect(JSON.parse(res.body).requestLimits).toEqual({
+                    rateLimited: { "/frequencies": 1 },
+                    bodyTooLarge: 1,
+                    unsupportedMediaType: 0,
+                    bodyTimeout: 0
+                });
+            });
+        });
+
+        describe("with port", () => {
+            beforeEach(() => {
+                handler = createRequestHandler(state, callbacks, { authToken: "secret", port: 19800 });
+            });
+
+            test("should reject a rebound Host before checking the token", async () => {
+                const req = createMockRequest("POST", "/ptt/press", null, {
+                    host: "rebind.evil.com:19800",
+                    "x-radio-token": "secret"
+                });
+                const res = createMockResponse();
+
+                await handler(req, res);
+
+                expect(res.statusCode).toBe(403);
+                expect(JSON.parse(res.body).error).toBe("Invalid Host header");
+                expect(callbacks.onPTTPress).not.toHaveBeenCalled();
+            });
+
+            test("should accept 127.0.0.1 Host", async () => {
+                const req = createMockRequest("POST", "/ptt/press", null, {
+                    host: "127.0.0.1:19800",
+                    "x-radio-token": "secret"
+                });
+                const res = createMockResponse();
+
+                await handler(req, res);
+
+                expect(res.statusCode).toBe(200);
+            });
+        });
+
+        describe("with authToken", () => {
+            beforeEach(() => {
+                handler = createRequestHandler(state, callbacks, { authToken: "secret" });
+            });
+
+            test("should reject requests without token", async () => {
+                const req = createMockRequest("POST", "/ptt/press");
+                const res = createMockResponse();
+
+                await handler(req, res);
+
+                expect(res.statusCode).toBe(401);
+                expect(JSON.parse(res.body).error).toBe("Unauthorized");
+                expect(state.isPTTPressed).toBe(false);
+                expect(callbacks.onPTTPress).not.toHaveBeenCalled();
+            });
+
+            test("should reject requests with wrong token", async () => {
+                const req = createMockRequest("POST", "/connect", { url: "http://evil.com" }, { "x-radio-token": "nope" });
+                const res = createMockResponse();
+
+                await handler(req, res);
+
+                expect(res.statusCode).toBe(401);
+                expect(callbacks.onConnect).not.toHaveBeenCalled();
+            });
+
+            test("should accept requests with matching token", async () => {
+                const req = createMockRequest("POST", "/ptt/press", null, { "x-radio-token": "secret" });
+                const res = createMockResponse();
+
+                await handler(req, res);
+
+                expect(res.statusCode).toBe(200);
+                expect(callbacks.onPTTPress).toHaveBeenCalled();
+            });
+
+            test("should reject OPTIONS preflight from a foreign origin", async () => {
+                const req = createMockRequest("OPTIONS", "/status", null, { origin: "http://127.0.0.1.evil.com" });
+                const res = createMockResponse();
+
+                await handler(req, res);
+
+                expect(res.statusCode).toBe(403);
+                expect(JSON.parse(res.body).error).toBe("Origin not allowed");
+            });
+
+            test("should refuse a query token outside /events and keep it out of the logs", async () => {
+                const log = jest.fn();
+                handler = createRequestHandler(state, callbacks, { authToken: "secret", log });
+                const res = createMockResponse();
+
+                await handler(createMockRequest("POST", "/ptt/press?token=secret"), res);
+
+                expect(res.statusCode).toBe(401);
+                expect(callbacks.onPTTPress).not.toHaveBeenCalled();
+                expect(log).toHaveBeenCalledWith("[HTTP] Unauthorized request:", "POST", "/ptt/press");
+            });
+
+            test("should still answer OPTIONS preflight without token", async () => {
+                const req = createMockRequest("OPTIONS", "/status", null, { origin: "http://127.0.0.1:5000" });
+                const res = createMockResponse();
+
+                await handler(req, res);
+
+                expect(res.writeHead).toHaveBeenCalledWith(200);
+            });
+        });
     });
 });
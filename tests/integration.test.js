@@ -5,9 +5,10 @@
 
 const http = require("http");
 const { createRequestHandler, findFreePort } = require("../src/main/httpServer.cjs");
+const { createEventStream } = require("../src/main/eventStream.cjs");
 
 // Helper to make HTTP requests
-function makeRequest(port, method, path, body = null) {
+function makeRequest(port, method, path, body = null, headers = {}) {
     return new Promise((resolve, reject) => {
         const options = {
             hostname: "127.0.0.1",
@@ -15,7 +16,8 @@ function makeRequest(port, method, path, body = null) {
             path: path,
             method: method,
             headers: {
-                "Content-Type": "application/json"
+                "Content-Type": "application/json",
+                ...headers
             }
         };
 
@@ -48,11 +50,33 @@ function makeRequest(port, method, path, body = null) {
     });
 }
 
+// Helper to open an SSE stream and collect raw chunks
+function openEventStream(port, path) {
+    return new Promise((resolve, reject) => {
+        const req = http.get({ hostname: "127.0.0.1", port: port, path: path }, (res) => {
+            const stream = { res, req, data: "" };
+            res.setEncoding("utf8");
+            res.on("data", chunk => { stream.data += chunk; });
+            resolve(stream);
+        });
+        req.on("error", reject);
+    });
+}
+
+// Wait until the stream has received a given text
+async function waitForData(stream, text) {
+    for (let i = 0; i < 50 && !stream.data.includes(text); i++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    return stream.data;
+}
+
 describe("HTTP API Integration Tests", () => {
     let server;
     let port;
     let state;
     let callbacks;
+    let events;
 
     beforeAll(async () => {
         port = await findFreePort(29000);
@@ -73,10 +97,13 @@ describe("HTTP API Integration Tests", () => {
             onFrequenciesUpdate: jest.fn(),
             onActiveChannelChange: jest.fn(),
             onEarSideChange: jest.fn(),
-            onFrequencyDisconnect: jest.fn()
+            onFrequencyDisconnect: jest.fn(),
+            onVolumeChange: jest.fn(),
+            onMuteChange: jest.fn()
         };
 
-        const handler = createRequestHandler(state, callbacks);
+        events = createEventStream();
+        const handler = createRequestHandler(state, callbacks, { events, port });
         server = http.createServer(handler);
 
         await new Promise(resolve => {
@@ -85,6 +112,7 @@ describe("HTTP API Integration Tests", () => {
     });
 
     afterAll(async () => {
+        events.close();
         await new Promise(resolve => server.close(resolve));
     });
 
@@ -93,11 +121,68 @@ describe("HTTP API Integration Tests", () => {
         state.isPTTPressed = false;
         state.serverURL = null;
         state.lastHeartbeat = null;
+        state.pttSequence = null;
+        state.pttTimestamp = null;
+        state.pttFrequencies = null;
+        state.radio.reset();
 
         // Clear mocks
         Object.values(callbacks).forEach(cb => cb.mockClear());
     });
 
+    // ==========================================
+    // Versioning / Capabilities
+    // ==========================================
+    describe("GET /capabilities", () => {
+        test("should return app version, API version and features", async () => {
+            const response = await makeRequest(port, "GET", "/capabilities");
+
+            expect(response.statusCode).toBe(200);
+            expect(response.body.appVersion).toBe(require("../package.json").version);
+            expect(response.body.apiVersion).toBe(1);
+            expect(response.body.features).toContain("multi-channel-ptt");
+        });
+    });
+
+    describe("/v1 prefix", () => {
+        test("should serve every route under /v1", async () => {
+            const response = await makeRequest(port, "GET", "/v1/status");
+
+            expect(response.statusCode).toBe(200);
+            expect(response.body.running).toBe(true);
+        });
+
+        test("should apply prefixed POST routes like their alias", async () => {
+            const response = await makeRequest(port, "POST", "/v1/ptt/press", {});
+
+            expect(response.statusCode).toBe(200);
+            expect(callbacks.onPTTPress).toHaveBeenCalled();
+        });
+
+        test("should not serve other versions", async () => {
+            const response = await makeRequest(port, "GET", "/v2/status");
+
+            expect(response.statusCode).toBe(404);
+        });
+    });
+
+    // ==========================================
+    // OpenAPI Endpoint
+    // ==========================================
+    describe("GET /openapi.json", () => {
+        test("should describe every endpoint served here", async () => {
+            const response = await makeRequest(port, "GET", "/openapi.json");
+
+            expect(response.statusCode).toBe(200);
+            expect(response.body.openapi).toMatch(/^3\./);
+            expect(response.body.servers).toEqual([{ url: `http://127.0.0.1:${port}` }]);
+            expect(Object.keys(response.body.paths)).toEqual(expect.arrayContaining([
+                "/v1/ptt/press", "/v1/connect", "/v1/frequencies", "/v1/capabilities", "/v1/openapi.json"
+            ]));
+            expect(response.body.paths["/v1/frequencies"].post.requestBody).toBeDefined();
+        });
+    });
+
     // ==========================================
     // Status Endpoint
     // ==========================================
@@ -176,6 +261,117 @@ describe("HTTP API Integration Tests", () => {
         });
     });
 
+    describe("PTT sequence numbers", () => {
+        test("should ignore a release that arrives after a newer press", async () => {
+            await makeRequest(port, "POST", "/ptt/press", { seq: 2 });
+            const response = await makeRequest(port, "POST", "/ptt/release", { seq: 1 });
+
+            expect(response.statusCode).toBe(200);
+            expect(response.body.stale).toBe(true);
+            expect(response.body.lastSeq).toBe(2);
+            expect(state.isPTTPressed).toBe(true);
+            expect(callbacks.onPTTRelease).not.toHaveBeenCalled();
+        });
+
+        test("should ignore a press that arrives after its release", async () => {
+            await makeRequest(port, "POST", "/ptt/release", { seq: 4 });
+            const response = await makeRequest(port, "POST", "/ptt/press", { seq: 3 });
+
+            expect(response.body.stale).toBe(true);
+            expect(state.isPTTPressed).toBe(false);
+            expect(callbacks.onPTTPress).not.toHaveBeenCalled();
+        });
+
+        test("should report last applied sequence in /status", async () => {
+            await makeRequest(port, "POST", "/ptt/press", { seq: 7, timestamp: 1700000000000 });
+
+            const response = await makeRequest(port, "GET", "/status");
+
+            expect(response.body.pttSequence).toBe(7);
+            expect(response.body.pttTimestamp).toBe(1700000000000);
+        });
+
+        test("should keep legacy behavior without sequence", async () => {
+            await makeRequest(port, "POST", "/ptt/press", { seq: 5 });
+            const response = await makeRequest(port, "POST", "/ptt/release");
+
+            expect(response.body.stale).toBeUndefined();
+            expect(state.isPTTPressed).toBe(false);
+            expect(state.pttSequence).toBe(5);
+        });
+
+        test("should reset sequence on connect", async () => {
+            await makeRequest(port, "POST", "/ptt/press", { seq: 50 });
+            await makeRequest(port, "POST", "/connect", { url: "http://voip.example.com" });
+
+            expect(state.pttSequence).toBeNull();
+        });
+
+        test("should reject invalid sequence", async () => {
+            const response = await makeRequest(port, "POST", "/ptt/press", { seq: -1 });
+
+            expect(response.statusCode).toBe(400);
+            expect(response.body.details).toEqual([{ field: "seq", message: "must be >= 0" }]);
+            expect(state.isPTTPressed).toBe(false);
+        });
+    });
+
+    describe("Multi-channel PTT", () => {
+        beforeEach(() => {
+            state.radio.setFrequencies([
+                { frequency: "45.3", earSide: 0, volume: 100, muted: false },
+                { frequency: "100", earSide: 2, volume: 100, muted: false }
+            ]);
+        });
+
+        test("should transmit on the chosen frequencies", async () => {
+            const response = await makeRequest(port, "POST", "/ptt/press", { frequencies: [45.3, 100, 45.3] });
+
+            expect(response.statusCode).toBe(200);
+            expect(state.isPTTPressed).toBe(true);
+            expect(callbacks.onPTTPress).toHaveBeenCalledWith({ frequencies: ["45.3", "100"] });
+        });
+
+        test("should report transmit frequencies in /status until release", async () => {
+            await makeRequest(port, "POST", "/ptt/press", { frequencies: [100] });
+            let response = await makeRequest(port, "GET", "/status");
+            expect(response.body.pttFrequencies).toEqual(["100"]);
+
+            await makeRequest(port, "POST", "/ptt/release");
+            response = await makeRequest(port, "GET", "/status");
+            expect(response.body.pttFrequencies).toBeNull();
+        });
+
+        test("should reject frequencies that are not tuned", async () => {
+            const response = await makeRequest(port, "POST", "/ptt/press", { frequencies: [45.3, 87.5] });
+
+            expect(response.statusCode).toBe(409);
+            expect(response.body.error).toBe("Frequencies not tuned: 87.5");
+            expect(state.isPTTPressed).toBe(false);
+            expect(callbacks.onPTTPress).not.toHaveBeenCalled();
+        });
+
+        test("should reject malformed frequencies", async () => {
+            const response = await makeRequest(port, "POST", "/ptt/press", { frequencies: [] });
+
+            expect(response.statusCode).toBe(400);
+            expect(state.isPTTPressed).toBe(false);
+        });
+
+        test("should list frequencies outside the band plan by field", async () => {
+            const response = await makeRequest(port, "POST", "/ptt/press", { frequencies: [45.3, -5] });
+
+            expect(response.statusCode).toBe(400);
+            expect(response.body.details).toEqual([{ field: "frequencies[1]", message: "-5 is below minimum 1" }]);
+        });
+
+        test("should transmit on active channel without frequencies", async () => {
+            await makeRequest(port, "POST", "/ptt/press");
+
+            expect(callbacks.onPTTPress).toHaveBeenCalledWith(undefined);
+        });
+    });
+
     // ==========================================
     // Connection Endpoints
     // ==========================================
@@ -197,7 +393,18 @@ describe("HTTP API Integration Tests", () => {
             const response = await makeRequest(port, "POST", "/connect", {});
 
             expect(response.statusCode).toBe(400);
-            expect(response.body.error).toBe("Missing url parameter");
+            expect(response.body.details).toEqual([{ field: "url", message: "is required" }]);
+            expect(response.body.code).toBe("MISSING_URL");
+        });
+
+        test("should refuse non-http URLs", async () => {
+            const response = await makeRequest(port, "POST", "/connect", {
+                url: "javascript:alert(1)"
+            });
+
+            expect(response.statusCode).toBe(400);
+            expect(response.body.code).toBe("UNSUPPORTED_PROTOCOL");
+            expect(state.serverURL).toBeNull();
         });
     });
 
@@ -242,7 +449,7 @@ describe("HTTP API Integration Tests", () => {
             const response = await makeRequest(port, "POST", "/frequency", {});
 
             expect(response.statusCode).toBe(400);
-            expect(response.body.error).toBe("Missing frequency parameter");
+            expect(response.body.details).toEqual([{ field: "frequency", message: "is required" }]);
         });
     });
 
@@ -259,8 +466,8 @@ describe("HTTP API Integration Tests", () => {
             expect(response.body.success).toBe(true);
             expect(response.body.count).toBe(2);
             expect(callbacks.onFrequenciesUpdate).toHaveBeenCalledWith([
-                { frequency: "45.3", earSide: 0 },
-                { frequency: "100", earSide: 2 }
+                { frequency: "45.3", earSide: 0, volume: 100, muted: false },
+                { frequency: "100", earSide: 2, volume: 100, muted: false }
             ]);
         });
 
@@ -277,7 +484,7 @@ describe("HTTP API Integration Tests", () => {
             });
 
             expect(response.statusCode).toBe(400);
-            expect(response.body.error).toBe("frequencies must be an array");
+            expect(response.body.details).toEqual([{ field: "frequencies", message: "must be an array" }]);
         });
 
         test("should reject invalid frequency format", async () => {
@@ -286,7 +493,8 @@ describe("HTTP API Integration Tests", () => {
             });
 
             expect(response.statusCode).toBe(400);
-            expect(response.body.error).toContain("Invalid frequency format");
+            expect(response.body.error).toBe("Invalid request body");
+            expect(response.body.details).toEqual([{ field: "frequencies[0].frequency", message: "must be a number" }]);
         });
 
         test("should reject invalid earSide", async () => {
@@ -296,9 +504,42 @@ describe("HTTP API Integration Tests", () => {
 
             expect(response.statusCode).toBe(400);
         });
+
+        test("should list band plan problems", async () => {
+            const response = await makeRequest(port, "POST", "/frequencies", {
+                frequencies: [
+                    { frequency: 45.3, earSide: 0 },
+                    { frequency: -12, earSide: 0 },
+                    { frequency: 45.3000001, earSide: 1 }
+                ]
+            });
+
+            expect(response.statusCode).toBe(400);
+            expect(response.body.error).toBe("Invalid frequencies");
+            expect(response.body.details).toEqual([
+                { field: "frequencies[1].frequency", message: "-12 is below minimum 1" },
+                { field: "frequencies[2].frequency", message: "duplicate of 45.3" }
+            ]);
+            expect(callbacks.onFrequenciesUpdate).not.toHaveBeenCalled();
+        });
+
+        test("should accept volume and muted per frequency", async () => {
+            const response = await makeRequest(port, "POST", "/frequencies", {
+                frequencies: [{ frequency: 45.3, earSide: 0, volume: 20, muted: true }]
+            });
+
+            expect(response.statusCode).toBe(200);
+            expect(callbacks.onFrequenciesUpdate).toHaveBeenCalledWith([
+                { frequency: "45.3", earSide: 0, volume: 20, muted: true }
+            ]);
+        });
     });
 
     describe("POST /active-channel", () => {
+        beforeEach(() => {
+            state.radio.setFrequencies([{ frequency: "45.3", earSide: 0 }]);
+        });
+
         test("should set active channel", async () => {
             const response = await makeRequest(port, "POST", "/active-channel", {
                 frequency: 45.3
@@ -307,6 +548,17 @@ describe("HTTP API Integration Tests", () => {
             expect(response.statusCode).toBe(200);
             expect(response.body.frequency).toBe("45.3");
             expect(callbacks.onActiveChannelChange).toHaveBeenCalledWith("45.3");
+            expect(state.radio.getActiveChannel()).toBe("45.3");
+        });
+
+        test("should reject a frequency that is not tuned", async () => {
+            const response = await makeRequest(port, "POST", "/active-channel", {
+                frequency: 100
+            });
+
+            expect(response.statusCode).toBe(409);
+            expect(response.body.error).toBe("Frequency 100 is not tuned");
+            expect(callbacks.onActiveChannelChange).not.toHaveBeenCalled();
         });
 
         test("should reject non-number frequency", async () => {
@@ -316,9 +568,34 @@ describe("HTTP API Integration Tests", () => {
 
             expect(response.statusCode).toBe(400);
         });
+
+        test("should map noisy dial value to the tuned channel", async () => {
+            const response = await makeRequest(port, "POST", "/active-channel", {
+                frequency: 45.3000001
+            });
+
+            expect(response.statusCode).toBe(200);
+            expect(response.body.frequency).toBe("45.3");
+        });
+
+        test("should reject frequency outside the band plan", async () => {
+            const response = await makeRequest(port, "POST", "/active-channel", {
+                frequency: 45.35
+            });
+
+            expect(response.statusCode).toBe(400);
+            expect(response.body).toEqual({
+                error: "Invalid frequency",
+                details: [{ field: "frequency", message: "45.35 is not a multiple of step 0.1" }]
+            });
+        });
     });
 
     describe("POST /ear-side", () => {
+        beforeEach(() => {
+            state.radio.setFrequencies([{ frequency: "45.3", earSide: 0 }]);
+        });
+
         test("should change ear side", async () => {
             const response = await makeRequest(port, "POST", "/ear-side", {
                 frequency: 45.3,
@@ -352,11 +629,94 @@ describe("HTTP API Integration Tests", () => {
             });
 
             expect(response.statusCode).toBe(400);
-            expect(response.body.error).toContain("earSide must be 0");
+            expect(response.body.details).toEqual([{ field: "earSide", message: "must be one of 0, 1, 2" }]);
+        });
+    });
+
+    describe("POST /volume", () => {
+        beforeEach(() => {
+            state.radio.setFrequencies([{ frequency: "45.3", earSide: 0 }]);
+        });
+
+        test("should change volume", async () => {
+            const response = await makeRequest(port, "POST", "/volume", {
+                frequency: 45.3,
+                volume: 30
+            });
+
+            expect(response.statusCode).toBe(200);
+            expect(response.body.volume).toBe(30);
+            expect(callbacks.onVolumeChange).toHaveBeenCalledWith({ frequency: "45.3", volume: 30 });
+            expect(state.radio.getFrequencies()[0].volume).toBe(30);
+        });
+
+        test("should reject out of range volume", async () => {
+            const response = await makeRequest(port, "POST", "/volume", {
+                frequency: 45.3,
+                volume: 150
+            });
+
+            expect(response.statusCode).toBe(400);
+            expect(response.body.details).toEqual([{ field: "volume", message: "must be between 0 and 100" }]);
+        });
+
+        test("should reject a frequency that is not tuned", async () => {
+            const response = await makeRequest(port, "POST", "/volume", {
+                frequency: 100,
+                volume: 30
+            });
+
+            expect(response.statusCode).toBe(409);
+            expect(callbacks.onVolumeChange).not.toHaveBeenCalled();
+        });
+    });
+
+    describe("POST /mute", () => {
+        beforeEach(() => {
+            state.radio.setFrequencies([{ frequency: "45.3", earSide: 0 }]);
+        });
+
+        test("should mute a frequency", async () => {
+            const response = await makeRequest(port, "POST", "/mute", {
+                frequency: 45.3,
+                muted: true
+            });
+
+            expect(response.statusCode).toBe(200);
+            expect(callbacks.onMuteChange).toHaveBeenCalledWith({ frequency: "45.3", muted: true });
+            expect(state.radio.getFrequencies()[0].muted).toBe(true);
+        });
+
+        test("should mute globally without frequency", async () => {
+            const response = await makeRequest(port, "POST", "/mute", { muted: true });
+
+            expect(response.statusCode).toBe(200);
+            expect(response.body.frequency).toBeNull();
+            expect(callbacks.onMuteChange).toHaveBeenCalledWith({ frequency: null, muted: true });
+
+            const status = await makeRequest(port, "GET", "/status");
+            expect(status.body.muted).toBe(true);
+        });
+
+        test("should reject non-boolean muted", async () => {
+            const response = await makeRequest(port, "POST", "/mute", { frequency: 45.3, muted: "yes" });
+
+            expect(response.statusCode).toBe(400);
+            expect(response.body.details).toEqual([{ field: "muted", message: "must be a boolean" }]);
+        });
+
+        test("should reject a frequency that is not tuned", async () => {
+            const response = await makeRequest(port, "POST", "/mute", { frequency: 100, muted: true });
+
+            expect(response.statusCode).toBe(409);
         });
     });
 
     describe("POST /frequency/disconnect", () => {
+        beforeEach(() => {
+            state.radio.setFrequencies([{ frequency: "45.3", earSide: 0 }]);
+        });
+
         test("should disconnect from frequency", async () => {
             const response = await makeRequest(port, "POST", "/frequency/disconnect", {
                 frequency: 45.3
@@ -365,6 +725,16 @@ describe("HTTP API Integration Tests", () => {
             expect(response.statusCode).toBe(200);
             expect(response.body.frequency).toBe("45.3");
             expect(callbacks.onFrequencyDisconnect).toHaveBeenCalledWith("45.3");
+            expect(state.radio.hasFrequency("45.3")).toBe(false);
+        });
+
+        test("should reject a frequency that is not tuned", async () => {
+            const response = await makeRequest(port, "POST", "/frequency/disconnect", {
+                frequency: 100
+            });
+
+            expect(response.statusCode).toBe(409);
+            expect(callbacks.onFrequencyDisconnect).not.toHaveBeenCalled();
         });
 
         test("should reject non-number frequency", async () => {
@@ -376,6 +746,60 @@ describe("HTTP API Integration Tests", () => {
         });
     });
 
+    describe("GET /frequencies", () => {
+        test("should return tuned frequencies and active channel", async () => {
+            await makeRequest(port, "POST", "/frequencies", {
+                frequencies: [{ frequency: 45.3, earSide: 0 }, { frequency: 100, earSide: 2 }]
+            });
+            await makeRequest(port, "POST", "/active-channel", { frequency: 100 });
+            await makeRequest(port, "POST", "/ear-side", { frequency: 45.3, earSide: 1 });
+
+            const response = await makeRequest(port, "GET", "/frequencies");
+
+            expect(response.statusCode).toBe(200);
+            expect(response.body).toEqual({
+                frequencies: [
+                    { frequency: "45.3", earSide: 1, volume: 100, muted: false },
+                    { frequency: "100", earSide: 2, volume: 100, muted: false }
+                ],
+                activeChannel: "100",
+                muted: false
+            });
+        });
+
+        test("should be included in /status", async () => {
+            await makeRequest(port, "POST", "/frequencies", {
+                frequencies: [{ frequency: 45.3, earSide: 0 }]
+            });
+
+            const response = await makeRequest(port, "GET", "/status");
+
+            expect(response.body.frequencies).toEqual([{ frequency: "45.3", earSide: 0, volume: 100, muted: false }]);
+            expect(response.body.activeChannel).toBeNull();
+        });
+    });
+
+    describe("GET /active-channel", () => {
+        test("should return null when no channel is active", async () => {
+            const response = await makeRequest(port, "GET", "/active-channel");
+
+            expect(response.statusCode).toBe(200);
+            expect(response.body).toEqual({ frequency: null });
+        });
+
+        test("should clear active channel when it leaves the list", async () => {
+            await makeRequest(port, "POST", "/frequencies", {
+                frequencies: [{ frequency: 45.3, earSide: 0 }]
+            });
+            await makeRequest(port, "POST", "/active-channel", { frequency: 45.3 });
+            await makeRequest(port, "POST", "/frequencies", { frequencies: [] });
+
+            const response = await makeRequest(port, "GET", "/active-channel");
+
+            expect(response.body.frequency).toBeNull();
+        });
+    });
+
     // ==========================================
     // Error Handling
     // ==========================================
@@ -394,14 +818,102 @@ describe("HTTP API Integration Tests", () => {
         });
     });
 
+    // ==========================================
+    // Event Stream
+    // ==========================================
+    describe("GET /events", () => {
+        let stream;
+
+        afterEach(() => {
+            stream?.req.destroy();
+        });
+
+        test("should open an event stream", async () => {
+            stream = await openEventStream(port, "/events");
+
+            expect(stream.res.statusCode).toBe(200);
+            expect(stream.res.headers["content-type"]).toBe("text/event-stream");
+        });
+
+        test("should stream PTT transitions", async () => {
+            stream = await openEventStream(port, "/events");
+
+            await makeRequest(port, "POST", "/ptt/press");
+            await makeRequest(port, "POST", "/ptt/release");
+            const data = await waitForData(stream, "event: ptt:release");
+
+            expect(data).toContain("event: ptt:press\ndata: {}\n\n");
+            expect(data).toContain("event: ptt:release\ndata: {}\n\n");
+        });
+
+        test("should stream connection and frequency changes", async () => {
+            stream = await openEventStream(port, "/events");
+
+            await makeRequest(port, "POST", "/connect", { url: "http://voip.example.com" });
+            await makeRequest(port, "POST", "/frequencies", { frequencies: [{ frequency: 45.3, earSide: 0 }] });
+            await makeRequest(port, "POST", "/active-channel", { frequency: 45.3 });
+            const data = await waitForData(stream, "event: active-channel:change");
+
+            expect(data).toContain('event: connection:connect\ndata: {"url":"http://voip.example.com"}');
+            expect(data).toContain('event: frequencies:update\ndata: [{"frequency":"45.3","earSide":0,"volume":100,"muted":false}]');
+            expect(data).toContain('event: active-channel:change\ndata: "45.3"');
+        });
+
+        test("should not stream ignored PTT presses", async () => {
+            state.isPTTPressed = true;
+            stream = await openEventStream(port, "/events");
+
+            await makeRequest(port, "POST", "/ptt/press");
+            await makeRequest(port, "POST", "/disconnect");
+            const data = await waitForData(stream, "event: connection:disconnect");
+
+            expect(data).not.toContain("event: ptt:press");
+        });
+    });
+
+    // ==========================================
+    // Request Limits
+    // ==========================================
+    describe("Request limits", () => {
+        test("should answer 413 for a body above the limit", async () => {
+            const response = await makeRequest(port, "POST", "/connect", { url: "http://" + "a".repeat(20000) + ".com" });
+
+            expect(response.statusCode).toBe(413);
+            expect(state.serverURL).toBeNull();
+        });
+
+        test("should answer 415 for a text/plain body", async () => {
+            const response = await makeRequest(port, "POST", "/connect", { url: "http://voip.example.com" }, {
+                "Content-Type": "text/plain"
+            });
+
+            expect(response.statusCode).toBe(415);
+            expect(state.serverURL).toBeNull();
+        });
+    });
+
     // ==========================================
     // CORS Headers
     // ==========================================
     describe("CORS headers", () => {
         test("should handle OPTIONS preflight", async () => {
-            const response = await makeRequest(port, "OPTIONS", "/status");
+            const response = await makeRequest(port, "OPTIONS", "/status", null, { Origin: "http://localhost:3000" });
 
             expect(response.statusCode).toBe(200);
+            expect(response.headers["access-control-allow-origin"]).toBe("http://localhost:3000");
+        });
+
+        test("should reject OPTIONS preflight from another origin", async () => {
+            const response = await makeRequest(port, "OPTIONS", "/status", null, { Origin: "http://localhost.evil.com" });
+
+            expect(response.statusCode).toBe(403);
+        });
+
+        test("should reject a rebound Host header", async () => {
+            const response = await makeRequest(port, "GET", "/status", null, { Host: `evil.com:${port}` });
+
+            expect(response.statusCode).toBe(403);
+            expect(response.body.error).toBe("Invalid Host header");
         });
     });
 });
@@ -0,0 +1,125 @@
+/**
+ * Unit tests for IPC Policy module
+ */
+
+const { IPC_ACCESS, isSenderAllowed, createIPCPolicy } = require("../src/main/ipcPolicy.cjs");
+
+const LOCAL_PAGE_URL = "file:///C:/app/resources/src/renderer/waiting.html";
+const CONTEXT = { localPageURL: LOCAL_PAGE_URL, connectedOrigin: "https://voip.example.com" };
+
+// Mock IPC event, parent is set for iframes
+function createMockEvent(url, parent = null) {
+    return { senderFrame: { url, parent } };
+}
+
+// Mock ipcMain keeping the registered listeners
+function createMockIpcMain() {
+    const listeners = {};
+    return {
+        listeners,
+        handle: jest.fn((channel, listener) => { listeners[channel] = listener; }),
+        on: jest.fn((channel, listener) => { listeners[channel] = listener; })
+    };
+}
+
+describe("ipcPolicy module", () => {
+
+    // ==========================================
+    // isSenderAllowed tests
+    // ==========================================
+    describe("isSenderAllowed", () => {
+        test("should allow the local page on every channel", () => {
+            const event = createMockEvent(LOCAL_PAGE_URL);
+
+            expect(isSenderAllowed(event, IPC_ACCESS.LOCAL, CONTEXT)).toBe(true);
+            expect(isSenderAllowed(event, IPC_ACCESS.APP, CONTEXT)).toBe(true);
+        });
+
+        test("should allow the connected server on app channels only", () => {
+            const event = createMockEvent("https://voip.example.com/room");
+
+            expect(isSenderAllowed(event, IPC_ACCESS.APP, CONTEXT)).toBe(true);
+            expect(isSenderAllowed(event, IPC_ACCESS.LOCAL, CONTEXT)).toBe(false);
+        });
+
+        test("should refuse iframes, even from allowed origins", () => {
+            const parent = { url: "https://voip.example.com/" };
+
+            expect(isSenderAllowed(createMockEvent("https://ads.example.net/", parent), IPC_ACCESS.APP, CONTEXT)).toBe(false);
+            expect(isSenderAllowed(createMockEvent("https://voip.example.com/embed", parent), IPC_ACCESS.APP, CONTEXT)).toBe(false);
+        });
+
+        test("should refuse other origins and local files", () => {
+            expect(isSenderAllowed(createMockEvent("https://evil.example.com/"), IPC_ACCESS.APP, CONTEXT)).toBe(false);
+            expect(isSenderAllowed(createMockEvent("file:///C:/Users/me/evil.html"), IPC_ACCESS.APP, CONTEXT)).toBe(false);
+        });
+
+        test("should refuse remote pages when not connected", () => {
+            const context = { ...CONTEXT, connectedOrigin: null };
+
+            expect(isSenderAllowed(createMockEvent("https://voip.example.com/"), IPC_ACCESS.APP, context)).toBe(false);
+        });
+
+        test("should refuse events without a sender frame", () => {
+            expect(isSenderAllowed({ senderFrame: null }, IPC_ACCESS.APP, CONTEXT)).toBe(false);
+            expect(isSenderAllowed(undefined, IPC_ACCESS.APP, CONTEXT)).toBe(false);
+        });
+    });
+
+    // ==========================================
+    // createIPCPolicy tests
+    // ==========================================
+    describe("createIPCPolicy", () => {
+        let ipcMain;
+        let log;
+        let ipc;
+
+        beforeEach(() => {
+            ipcMain = createMockIpcMain();
+            log = jest.fn();
+            ipc = createIPCPolicy(ipcMain, () => CONTEXT, log);
+        });
+
+        test("should call the handler for allowed senders", () => {
+            const listener = jest.fn(() => 19800);
+            ipc.handle("get-http-port", IPC_ACCESS.APP, listener);
+
+            const event = createMockEvent("https://voip.example.com/");
+            expect(ipcMain.listeners["get-http-port"](event, "arg")).toBe(19800);
+            expect(listener).toHaveBeenCalledWith(event, "arg");
+        });
+
+        test("should resolve refused invokes to null and log them", () => {
+            const listener = jest.fn(() => 19800);
+            ipc.handle("get-http-port", IPC_ACCESS.APP, listener);
+
+            expect(ipcMain.listeners["get-http-port"](createMockEvent("https://evil.example.com/"))).toBeNull();
+            expect(listener).not.toHaveBeenCalled();
+            expect(log).toHaveBeenCalledWith("[IPC] Rejected", "get-http-port", "from", "https://evil.example.com/");
+        });
+
+        test("should drop refused messages", () => {
+            const listener = jest.fn();
+            ipc.on("window-close", IPC_ACCESS.APP, listener);
+
+            ipcMain.listeners["window-close"](createMockEvent("https://ads.example.net/", { url: "https://voip.example.com/" }));
+
+            expect(listener).not.toHaveBeenCalled();
+            expect(log).toHaveBeenCalled();
+        });
+
+        test("should read the context on every message", () => {
+            let connectedOrigin = null;
+            ipc = createIPCPolicy(ipcMain, () => ({ localPageURL: LOCAL_PAGE_URL, connectedOrigin }), log);
+            const listener = jest.fn();
+            ipc.on("window-minimize", IPC_ACCESS.APP, listener);
+            const event = createMockEvent("https://voip.example.com/");
+
+            ipcMain.listeners["window-minimize"](event);
+            connectedOrigin = "https://voip.example.com";
+            ipcMain.listeners["window-minimize"](event);
+
+            expect(listener).toHaveBeenCalledTimes(1);
+        });
+    });
+});
@@ -0,0 +1,176 @@
+/**
+ * Unit tests for Main Process module (renderer crash recovery)
+ * Electron is replaced by a fake that records what the main process asks of the window
+ */
+
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+
+const WAITING_PAGE = path.join(__dirname, "../src/renderer/waiting.html");
+
+// Fake Electron: handlers are kept so the tests can fire window and app events
+const mockWindows = [];
+const mockAppHandlers = {};
+
+function mockCreateEmitter() {
+    const handlers = {};
+    return {
+        handlers,
+        on: jest.fn((event, handler) => {
+            handlers[event] = handler;
+        })
+    };
+}
+
+jest.mock("electron", () => {
+    class BrowserWindow {
+        constructor(options) {
+            const windowEvents = mockCreateEmitter();
+            const contentsEvents = mockCreateEmitter();
+            this.options = options;
+            this.handlers = windowEvents.handlers;
+            this.on = windowEvents.on;
+            this.loadURL = jest.fn();
+            this.loadFile = jest.fn();
+            this.webContents = {
+                handlers: contentsEvents.handlers,
+                on: contentsEvents.on,
+                send: jest.fn(),
+                executeJavaScript: jest.fn(),
+                openDevTools: jest.fn(),
+                setWindowOpenHandler: jest.fn(),
+                session: {
+                    webRequest: { onHeadersReceived: jest.fn() },
+                    setPermissionRequestHandler: jest.fn(),
+                    setPermissionCheckHandler: jest.fn()
+                }
+            };
+            mockWindows.push(this);
+        }
+
+        static getAllWindows() {
+            return mockWindows;
+        }
+    }
+
+    return {
+        app: {
+            isPackaged: true,
+            getPath: () => require("os").tmpdir(),
+            whenReady: () => Promise.resolve(),
+            on: (event, handler) => {
+                mockAppHandlers[event] = handler;
+            },
+            quit: jest.fn()
+        },
+        BrowserWindow,
+        ipcMain: { handle: jest.fn(), on: jest.fn() },
+        dialog: { showMessageBox: jest.fn() },
+        shell: { openExternal: jest.fn() }
+    };
+});
+
+// Let the HTTP server start (real sockets) while timers stay fake
+async function waitFor(condition) {
+    for (let i = 0; i < 200 && !condition(); i++) {
+        await new Promise(resolve => setImmediate(resolve));
+    }
+}
+
+describe("main process", () => {
+    let mainWindow;
+
+    beforeAll(async () => {
+        jest.useFakeTimers({ doNotFake: ["nextTick", "setImmediate", "queueMicrotask"] });
+        process.env.LOCALAPPDATA = path.join(os.tmpdir(), "radio-voip-main-tests-" + Date.now());
+        require("../src/main/index.cjs");
+        await waitFor(() => mockWindows.length > 0);
+        mainWindow = mockWindows[0];
+    });
+
+    afterAll(() => {
+        jest.useRealTimers();
+    });
+
+    beforeEach(() => {
+        mainWindow.loadFile.mockClear();
+        mainWindow.loadURL.mockClear();
+        // A new crash window for every test
+        jest.advanceTimersByTime(60001);
+    });
+
+    test("should open the waiting page on launch", () => {
+        expect(mainWindow).toBeDefined();
+        expect(mainWindow.webContents.handlers["render-process-gone"]).toBeDefined();
+    });
+
+    test("should reload the waiting page after a renderer crash", () => {
+        mainWindow.webContents.handlers["render-process-gone"]({}, { reason: "crashed" });
+
+        expect(mainWindow.loadFile).not.toHaveBeenCalled();
+        jest.advanceTimersByTime(1000);
+        expect(mainWindow.loadFile).toHaveBeenCalledWith(WAITING_PAGE);
+    });
+
+    test("should not reload after a clean exit", () => {
+        mainWindow.webContents.handlers["render-process-gone"]({}, { reason: "clean-exit" });
+        jest.advanceTimersByTime(1000);
+
+        expect(mainWindow.loadFile).not.toHaveBeenCalled();
+    });
+
+    test("should give up and show the waiting page after too many crashes", () => {
+        for (let i = 0; i < 4; i++) {
+            mainWindow.webContents.handlers["render-process-gone"]({}, { reason: "crashed" });
+        }
+
+        // The fourth crash disconnects right away, only the three first ones reload
+        expect(mainWindow.loadFile).toHaveBeenCalledTimes(1);
+        expect(mainWindow.loadFile).toHaveBeenCalledWith(WAITING_PAGE);
+        jest.advanceTimersByTime(1000);
+        expect(mainWindow.loadFile).toHaveBeenCalledTimes(4);
+    });
+
+    test("should block redirects away from the VoIP server like navigations", () => {
+        const { shell } = require("electron");
+        const event = { preventDefault: jest.fn() };
+
+        mainWindow.webContents.handlers["will-redirect"](event, "https://evil.example.com/");
+
+        expect(event.preventDefault).toHaveBeenCalled();
+        expect(shell.openExternal).toHaveBeenCalledWith("https://evil.example.com/");
+    });
+
+    // Last test: the app quits
+    test("should delete the config file and quit anyway when the shutdown hangs", async () => {
+        const { app } = require("electron");
+        const configPath = path.join(process.env.LOCALAPPDATA, "DayZ", "RadioVOIP", "config.json");
+
+        expect(fs.existsSync(configPath)).toBe(true);
+
+        // The HTTP server never reports itself closed
+        const realClose = http.Server.prototype.close;
+        const servers = [];
+        const close = jest.spyOn(http.Server.prototype, "close").mockImplementation(function () {
+            servers.push(this);
+            return this;
+        });
+
+        const event = { preventDefault: jest.fn() };
+        mockAppHandlers["will-quit"](event);
+        await waitFor(() => false);
+
+        expect(event.preventDefault).toHaveBeenCalled();
+        expect(fs.existsSync(configPath)).toBe(false);
+        expect(app.quit).not.toHaveBeenCalled();
+
+        jest.advanceTimersByTime(3000);
+        await waitFor(() => app.quit.mock.calls.length > 0);
+        expect(app.quit).toHaveBeenCalledTimes(1);
+
+        close.mockRestore();
+        servers.forEach(server => realClose.call(server));
+    });
+});
@@ -0,0 +1,91 @@
+/**
+ * Unit tests for OpenAPI module
+ */
+
+const { OPENAPI_VERSION, createOpenAPIDocument } = require("../src/main/openapi.cjs");
+const { ROUTES } = require("../src/main/routes.cjs");
+const { API_PREFIX } = require("../src/main/capabilities.cjs");
+const { version } = require("../package.json");
+
+describe("openapi module", () => {
+    describe("createOpenAPIDocument", () => {
+        test("should describe the API and its token", () => {
+            const document = createOpenAPIDocument(ROUTES);
+
+            expect(document.openapi).toBe(OPENAPI_VERSION);
+            expect(document.info.version).toBe(version);
+            expect(document.components.securitySchemes.radioToken).toEqual({
+                type: "apiKey",
+                in: "header",
+                name: "x-radio-token"
+            });
+            expect(document.servers).toBeUndefined();
+        });
+
+        test("should list every route of the table under the version prefix", () => {
+            const document = createOpenAPIDocument(ROUTES);
+
+            ROUTES.forEach(route => {
+                const operation = document.paths[API_PREFIX + route.path][route.method.toLowerCase()];
+                expect(operation.summary).toBe(route.summary);
+            });
+        });
+
+        test("should use the route schema as request body", () => {
+            const document = createOpenAPIDocument(ROUTES);
+            const operation = document.paths["/v1/volume"].post;
+
+            expect(operation.requestBody.content["application/json"].schema)
+                .toBe(ROUTES.find(route => route.path === "/volume").schema);
+            expect(operation.responses[400]).toBeDefined();
+        });
+
+        test("should not describe a body for routes without schema", () => {
+            const document = createOpenAPIDocument(ROUTES);
+
+            expect(document.paths["/v1/status"].get.requestBody).toBeUndefined();
+            expect(document.paths["/v1/status"].get.responses[400]).toBeUndefined();
+        });
+
+        test("should only require a body when its schema has required fields", () => {
+            const document = createOpenAPIDocument(ROUTES);
+
+            expect(document.paths["/v1/volume"].post.requestBody.required).toBe(true);
+            expect(document.paths["/v1/ptt/press"].post.requestBody.required).toBe(false);
+            expect(document.paths["/v1/ptt/release"].post.requestBody.required).toBe(false);
+            expect(document.paths["/v1/heartbeat"].post.requestBody.required).toBe(false);
+        });
+
+        test("should describe error details as field and message", () => {
+            const { details } = createOpenAPIDocument(ROUTES).components.schemas.Error.properties;
+
+            expect(details.items).toMatchObject({ type: "object", required: ["field", "message"] });
+        });
+
+        test("should list the statuses every route returns", () => {
+            const document = createOpenAPIDocument(ROUTES);
+            const statuses = (path, method = "post") => Object.keys(document.paths["/v1" + path][method].responses);
+
+            expect(statuses("/status", "get")).toEqual(expect.arrayContaining(["200", "401", "403", "429"]));
+            expect(statuses("/connect")).toEqual(expect.arrayContaining(["202", "400", "403"]));
+            expect(statuses("/ptt/press")).toContain("409");
+            ["/active-channel", "/ear-side", "/volume", "/mute", "/frequency/disconnect"].forEach(path => {
+                expect(statuses(path)).toContain("409");
+            });
+        });
+
+        test("should keep the shared description when a route adds to a status", () => {
+            const responses = createOpenAPIDocument(ROUTES).paths["/v1/connect"].post.responses;
+
+            expect(responses[403].description).toBe(
+                "Host or Origin header is not loopback; Server not allowed or refused by the user (codes SERVER_NOT_ALLOWED, SERVER_REFUSED)"
+            );
+        });
+
+        test("should add the server URL when the port is known", () => {
+            const document = createOpenAPIDocument(ROUTES, { port: 19800 });
+
+            expect(document.servers).toEqual([{ url: "http://127.0.0.1:19800" }]);
+        });
+    });
+});
@@ -38,7 +38,9 @@ describe("preload IPC structure", () => {
                 "frequencies:update",
                 "active-channel:change",
                 "frequency:disconnect",
-                "ear-side:change"
+                "ear-side:change",
+                "volume:change",
+                "mute:change"
             ],
             toMain: [
                 "window-minimize",
@@ -47,7 +49,8 @@ describe("preload IPC structure", () => {
             ],
             invoke: [
                 "get-server-url",
-                "get-http-port"
+                "get-http-port",
+                "get-state"
             ]
         };
 
@@ -62,6 +65,8 @@ describe("preload IPC structure", () => {
             expect(expectedChannels.fromMain).toContain("active-channel:change");
             expect(expectedChannels.fromMain).toContain("frequency:disconnect");
             expect(expectedChannels.fromMain).toContain("ear-side:change");
+            expect(expectedChannels.fromMain).toContain("volume:change");
+            expect(expectedChannels.fromMain).toContain("mute:change");
         });
 
         test("should have correct channel names for window controls", () => {
@@ -73,6 +78,7 @@ describe("preload IPC structure", () => {
         test("should have correct channel names for invoke calls", () => {
             expect(expectedChannels.invoke).toContain("get-server-url");
             expect(expectedChannels.invoke).toContain("get-http-port");
+            expect(expectedChannels.invoke).toContain("get-state");
         });
     });
 
@@ -81,7 +87,7 @@ describe("preload IPC structure", () => {
         const electronAPI = {
             onPTTPress: (callback) => {
                 mockIpcRenderer.removeAllListeners("ptt:press");
-                mockIpcRenderer.on("ptt:press", () => callback());
+                mockIpcRenderer.on("ptt:press", (event, data) => callback(data));
             },
             onPTTRelease: (callback) => {
                 mockIpcRenderer.removeAllListeners("ptt:release");
@@ -107,7 +113,17 @@ describe("preload IPC structure", () => {
                 mockIpcRenderer.removeAllListeners("ear-side:change");
                 mockIpcRenderer.on("ear-side:change", (event, data) => callback(data));
             },
+            onVolumeChange: (callback) => {
+                mockIpcRenderer.removeAllListeners("volume:change");
+                mockIpcRenderer.on("volume:change", (event, data) => callback(data));
+            },
+            onMuteChange: (callback) => {
+                mockIpcRenderer.removeAllListeners("mute:change");
+                mockIpcRenderer.on("mute:change", (event, data) => callback(data));
+            },
             getServerURL: () => mockIpcRenderer.invoke("get-server-url"),
+            getState: () => mockIpcRenderer.invoke("get-state"),
+            connect: (url) => mockIpcRenderer.invoke("manual-connect", url),
             minimize: () => mockIpcRenderer.send("window-minimize"),
             maximize: () => mockIpcRenderer.send("window-maximize"),
             close: () => mockIpcRenderer.send("window-close"),
@@ -126,6 +142,24 @@ describe("preload IPC structure", () => {
             expect(mockIpcRenderer.on).toHaveBeenCalledWith("ptt:press", expect.any(Function));
         });
 
+        test("should forward multi-channel PTT payload", () => {
+            const callback = jest.fn();
+            electronAPI.onPTTPress(callback);
+
+            const listener = mockIpcRenderer.on.mock.calls.find(([channel]) => channel === "ptt:press")[1];
+            listener({}, { frequencies: ["45.3", "100"] });
+
+            expect(callback).toHaveBeenCalledWith({ frequencies: ["45.3", "100"] });
+        });
+
+        test("should register volume and mute listeners", () => {
+            electronAPI.onVolumeChange(jest.fn());
+            electronAPI.onMuteChange(jest.fn());
+
+            expect(mockIpcRenderer.on).toHaveBeenCalledWith("volume:change", expect.any(Function));
+            expect(mockIpcRenderer.on).toHaveBeenCalledWith("mute:change", expect.any(Function));
+        });
+
         test("should remove previous listeners before adding new ones", () => {
             const callback1 = jest.fn();
             const callback2 = jest.fn();
@@ -151,6 +185,47 @@ describe("preload IPC structure", () => {
             electronAPI.getServerURL();
             expect(mockIpcRenderer.invoke).toHaveBeenCalledWith("get-server-url");
         });
+
+        test("should invoke getState", () => {
+            electronAPI.getState();
+            expect(mockIpcRenderer.invoke).toHaveBeenCalledWith("get-state");
+        });
+
+        test("should invoke manual connect with the URL", () => {
+            electronAPI.connect("https://voip.example.com");
+            expect(mockIpcRenderer.invoke).toHaveBeenCalledWith("manual-connect", "https://voip.example.com");
+        });
+    });
+
+    describe("secret code exposure", () => {
+        const originalWindow = global.window;
+
+        afterEach(() => {
+            global.window = originalWindow;
+        });
+
+        // Load the real preload script as a page with the given URL protocol would
+        function loadPreload(protocol) {
+            global.window = { location: { protocol }, addEventListener: jest.fn() };
+            jest.isolateModules(() => {
+                require("../src/preload/index.cjs");
+            });
+            return mockContextBridge.exposeInMainWorld.mock.calls[0][1];
+        }
+
+        test("should not expose getSecretCode to remote pages", () => {
+            const api = loadPreload("https:");
+
+            expect(api.getSecretCode).toBeUndefined();
+            expect(JSON.stringify(Object.keys(api))).not.toMatch(/secret/i);
+        });
+
+        test("should expose getSecretCode to the local waiting page", () => {
+            const api = loadPreload("file:");
+
+            api.getSecretCode();
+            expect(mockIpcRenderer.invoke).toHaveBeenCalledWith("get-secret-code");
+        });
     });
 
     describe("frequency event data structure", () => {
@@ -0,0 +1,56 @@
+/**
+ * Unit tests for PTT Watchdog module
+ */
+
+const {
+    DEFAULT_MAX_TRANSMIT_DURATION,
+    DEFAULT_HEARTBEAT_STALE_TIMEOUT,
+    getAutoReleaseReason
+} = require("../src/main/pttWatchdog.cjs");
+
+describe("pttWatchdog module", () => {
+    const options = {
+        maxTransmitDuration: 60000,
+        heartbeatStaleTimeout: 15000
+    };
+    const now = 1000000;
+
+    describe("defaults", () => {
+        test("should release before the heartbeat timeout disconnects", () => {
+            expect(DEFAULT_HEARTBEAT_STALE_TIMEOUT).toBeLessThan(30000);
+            expect(DEFAULT_MAX_TRANSMIT_DURATION).toBeGreaterThan(0);
+        });
+    });
+
+    describe("getAutoReleaseReason", () => {
+        test("should return null when PTT is not pressed", () => {
+            const state = { isPTTPressed: false, pttPressedAt: now - 120000, lastHeartbeat: now - 60000 };
+            expect(getAutoReleaseReason(state, options, now)).toBeNull();
+        });
+
+        test("should return null while transmitting normally", () => {
+            const state = { isPTTPressed: true, pttPressedAt: now - 5000, lastHeartbeat: now - 2000 };
+            expect(getAutoReleaseReason(state, options, now)).toBeNull();
+        });
+
+        test("should release after maximum transmit duration", () => {
+            const state = { isPTTPressed: true, pttPressedAt: now - 60001, lastHeartbeat: now - 2000 };
+            expect(getAutoReleaseReason(state, options, now)).toBe("max_duration");
+        });
+
+        test("should release when heartbeat is stale", () => {
+            const state = { isPTTPressed: true, pttPressedAt: now - 5000, lastHeartbeat: now - 15001 };
+            expect(getAutoReleaseReason(state, options, now)).toBe("heartbeat_stale");
+        });
+
+        test("should ignore heartbeat when none was ever received", () => {
+            const state = { isPTTPressed: true, pttPressedAt: now - 5000, lastHeartbeat: null };
+            expect(getAutoReleaseReason(state, options, now)).toBeNull();
+        });
+
+        test("should default now to Date.now()", () => {
+            const state = { isPTTPressed: true, pttPressedAt: Date.now() - 60001, lastHeartbeat: null };
+            expect(getAutoReleaseReason(state, options)).toBe("max_duration");
+        });
+    });
+});
@@ -0,0 +1,169 @@
+/**
+ * Unit tests for Radio State module
+ */
+
+const { createRadioState } = require("../src/main/radioState.cjs");
+
+describe("radioState module", () => {
+    let radio;
+
+    beforeEach(() => {
+        radio = createRadioState();
+        radio.setFrequencies([
+            { frequency: "45.3", earSide: 0 },
+            { frequency: "100", earSide: 2 }
+        ]);
+    });
+
+    // ==========================================
+    // setFrequencies tests
+    // ==========================================
+    describe("setFrequencies", () => {
+        test("should store the tuned list", () => {
+            expect(radio.getFrequencies()).toEqual([
+                { frequency: "45.3", earSide: 0, volume: 100, muted: false },
+                { frequency: "100", earSide: 2, volume: 100, muted: false }
+            ]);
+            expect(radio.hasFrequency("45.3")).toBe(true);
+            expect(radio.hasFrequency("87.5")).toBe(false);
+        });
+
+        test("should keep active channel if still tuned", () => {
+            radio.setActiveChannel("45.3");
+            radio.setFrequencies([{ frequency: "45.3", earSide: 1 }]);
+
+            expect(radio.getActiveChannel()).toBe("45.3");
+        });
+
+        test("should clear active channel if no longer tuned", () => {
+            radio.setActiveChannel("100");
+            radio.setFrequencies([{ frequency: "45.3", earSide: 1 }]);
+
+            expect(radio.getActiveChannel()).toBeNull();
+        });
+
+        test("should not share entries with the caller", () => {
+            const list = [{ frequency: "45.3", earSide: 0 }];
+            radio.setFrequencies(list);
+            list[0].earSide = 2;
+            radio.getFrequencies()[0].earSide = 1;
+
+            expect(radio.getFrequencies()[0].earSide).toBe(0);
+        });
+    });
+
+    // ==========================================
+    // setActiveChannel tests
+    // ==========================================
+    describe("setActiveChannel", () => {
+        test("should set a tuned frequency as active", () => {
+            expect(radio.setActiveChannel("100")).toBe(true);
+            expect(radio.getActiveChannel()).toBe("100");
+        });
+
+        test("should refuse a frequency that is not tuned", () => {
+            expect(radio.setActiveChannel("87.5")).toBe(false);
+            expect(radio.getActiveChannel()).toBeNull();
+        });
+
+        test("should clear the active channel with null", () => {
+            radio.setActiveChannel("100");
+
+            expect(radio.setActiveChannel(null)).toBe(true);
+            expect(radio.getActiveChannel()).toBeNull();
+        });
+    });
+
+    // ==========================================
+    // setEarSide tests
+    // ==========================================
+    describe("setEarSide", () => {
+        test("should update ear side of a tuned frequency", () => {
+            expect(radio.setEarSide("45.3", 1)).toBe(true);
+            expect(radio.getFrequencies()[0]).toEqual({ frequency: "45.3", earSide: 1, volume: 100, muted: false });
+        });
+
+        test("should refuse a frequency that is not tuned", () => {
+            expect(radio.setEarSide("87.5", 1)).toBe(false);
+        });
+    });
+
+    // ==========================================
+    // setVolume / setMuted tests
+    // ==========================================
+    describe("setVolume and setMuted", () => {
+        test("should keep volume and muted given in the list", () => {
+            radio.setFrequencies([{ frequency: "45.3", earSide: 0, volume: 40, muted: true }]);
+
+            expect(radio.getFrequencies()[0]).toEqual({ frequency: "45.3", earSide: 0, volume: 40, muted: true });
+        });
+
+        test("should update volume of a tuned frequency", () => {
+            expect(radio.setVolume("100", 25)).toBe(true);
+            expect(radio.getFrequencies()[1].volume).toBe(25);
+        });
+
+        test("should mute a tuned frequency", () => {
+            expect(radio.setMuted("45.3", true)).toBe(true);
+            expect(radio.getFrequencies()[0].muted).toBe(true);
+        });
+
+        test("should refuse a frequency that is not tuned", () => {
+            expect(radio.setVolume("87.5", 25)).toBe(false);
+            expect(radio.setMuted("87.5", true)).toBe(false);
+        });
+
+        test("should toggle global mute", () => {
+            radio.setGlobalMuted(true);
+            expect(radio.isGlobalMuted()).toBe(true);
+            expect(radio.getSnapshot().muted).toBe(true);
+        });
+    });
+
+    // ==========================================
+    // removeFrequency tests
+    // ==========================================
+    describe("removeFrequency", () => {
+        test("should remove a tuned frequency", () => {
+            expect(radio.removeFrequency("45.3")).toBe(true);
+            expect(radio.getFrequencies()).toEqual([{ frequency: "100", earSide: 2, volume: 100, muted: false }]);
+        });
+
+        test("should clear active channel when it is removed", () => {
+            radio.setActiveChannel("45.3");
+            radio.removeFrequency("45.3");
+
+            expect(radio.getActiveChannel()).toBeNull();
+        });
+
+        test("should refuse a frequency that is not tuned", () => {
+            expect(radio.removeFrequency("87.5")).toBe(false);
+            expect(radio.getFrequencies()).toHaveLength(2);
+        });
+    });
+
+    // ==========================================
+    // getSnapshot / reset tests
+    // ==========================================
+    describe("getSnapshot and reset", () => {
+        test("should return frequencies and active channel", () => {
+            radio.setActiveChannel("100");
+
+            expect(radio.getSnapshot()).toEqual({
+                frequencies: [
+                    { frequency: "45.3", earSide: 0, volume: 100, muted: false },
+                    { frequency: "100", earSide: 2, volume: 100, muted: false }
+                ],
+                activeChannel: "100",
+                muted: false
+            });
+        });
+
+        test("should forget everything on reset", () => {
+            radio.setActiveChannel("100");
+            radio.reset();
+
+            expect(radio.getSnapshot()).toEqual({ frequencies: [], activeChannel: null, muted: false });
+        });
+    });
+});
@@ -0,0 +1,64 @@
+/**
+ * Unit tests for local pages (waiting.html, titlebar, preload)
+ * Checks the sources against the Content Security Policy
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { LOCAL_PAGE_CSP } = require("../src/main/windowPolicy.cjs");
+
+const SRC_DIR = path.join(__dirname, "../src");
+
+function readSource(relativePath) {
+    return fs.readFileSync(path.join(SRC_DIR, relativePath), "utf-8");
+}
+
+describe("local pages", () => {
+
+    describe("waiting.html", () => {
+        const html = readSource("renderer/waiting.html");
+
+        test("should declare the local page CSP", () => {
+            const match = html.match(/<meta http-equiv="Content-Security-Policy" content="([^"]*)">/);
+
+            expect(match).not.toBeNull();
+            expect(match[1]).toBe(LOCAL_PAGE_CSP);
+        });
+
+        test("should not contain inline scripts", () => {
+            const scripts = html.match(/<script\b[^>]*>/g) || [];
+
+            expect(scripts.length).toBeGreaterThan(0);
+            scripts.forEach(tag => expect(tag).toMatch(/\bsrc="/));
+            expect(html).not.toMatch(/<script\b[^>]*>[^<\s]/);
+        });
+
+        test("should not contain inline styles or event handlers", () => {
+            expect(html).not.toMatch(/<style\b/);
+            expect(html).not.toMatch(/\sstyle="/);
+            expect(html).not.toMatch(/\son[a-z]+="/);
+        });
+
+        test("should only load files that exist next to it", () => {
+            const files = [...html.matchAll(/(?:src|href)="([^"]+)"/g)].map(match => match[1]);
+
+            expect(files).toEqual(expect.arrayContaining(["waiting.js", "waiting.css", "titlebar.css"]));
+            files.forEach(file => {
+                expect(fs.existsSync(path.join(SRC_DIR, "renderer", file))).toBe(true);
+            });
+        });
+    });
+
+    describe("DOM construction", () => {
+        test.each([
+            "renderer/titlebar.js",
+            "renderer/waiting.js",
+            "preload/index.cjs"
+        ])("%s should not use innerHTML", (file) => {
+            const source = readSource(file);
+
+            expect(source).not.toMatch(/\.(innerHTML|outerHTML)\s*=/);
+            expect(source).not.toMatch(/insertAdjacentHTML|document\.write/);
+        });
+    });
+});
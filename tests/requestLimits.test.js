@@ -0,0 +1,121 @@
+/**
+ * Unit tests for Request Limits module
+ */
+
+const {
+    DEFAULT_RATE_LIMITS,
+    createTokenBucket,
+    createRequestLimits
+} = require("../src/main/requestLimits.cjs");
+
+describe("requestLimits module", () => {
+    let time;
+    const now = () => time;
+
+    beforeEach(() => {
+        time = 0;
+    });
+
+    // ==========================================
+    // createTokenBucket tests
+    // ==========================================
+    describe("createTokenBucket", () => {
+        test("should allow a burst up to capacity", () => {
+            const bucket = createTokenBucket(3, 1, now);
+
+            expect([bucket.take(), bucket.take(), bucket.take(), bucket.take()]).toEqual([true, true, true, false]);
+        });
+
+        test("should refill over time", () => {
+            const bucket = createTokenBucket(1, 2, now);
+            bucket.take();
+
+            time = 250;
+            expect(bucket.take()).toBe(false);
+            time = 500;
+            expect(bucket.take()).toBe(true);
+        });
+
+        test("should not refill above capacity", () => {
+            const bucket = createTokenBucket(2, 10, now);
+
+            time = 60000;
+            expect([bucket.take(), bucket.take(), bucket.take()]).toEqual([true, true, false]);
+        });
+
+        test("should tell when the next token is available", () => {
+            const bucket = createTokenBucket(1, 0.5, now);
+
+            expect(bucket.getRetryAfter()).toBe(0);
+            bucket.take();
+            expect(bucket.getRetryAfter()).toBe(2);
+        });
+    });
+
+    // ==========================================
+    // createRequestLimits tests
+    // ==========================================
+    describe("createRequestLimits", () => {
+        test("should use the route limit, then the default one", () => {
+            const limits = createRequestLimits({ now });
+            const take = (route, count) => Array.from({ length: count }, () => limits.take(route).allowed);
+
+            expect(take("/frequencies", DEFAULT_RATE_LIMITS["/frequencies"].capacity + 1).pop()).toBe(false);
+            expect(take("/status", DEFAULT_RATE_LIMITS["*"].capacity).every(Boolean)).toBe(true);
+            expect(limits.take("/status").allowed).toBe(false);
+        });
+
+        test("should accept custom limits", () => {
+            const limits = createRequestLimits({ rateLimits: { "/heartbeat": { capacity: 1, refillPerSecond: 1 } }, now });
+
+            expect(limits.take("/heartbeat")).toEqual({ allowed: true });
+            expect(limits.take("/heartbeat")).toEqual({ allowed: false, retryAfter: 1 });
+        });
+
+        test("should never limit the routes that release PTT or end the session", () => {
+            const limits = createRequestLimits({ rateLimits: { "*": { capacity: 1, refillPerSecond: 1 } }, now });
+
+            ["/ptt/release", "/disconnect"].forEach(route => {
+                for (let i = 0; i < 5; i++) {
+                    expect(limits.take(route)).toEqual({ allowed: true });
+                }
+            });
+            expect(limits.getStats().rateLimited).toEqual({});
+        });
+
+        test("should count rate limited requests per route", () => {
+            const limits = createRequestLimits({ rateLimits: { "/frequencies": { capacity: 1, refillPerSecond: 1 } }, now });
+            limits.take("/frequencies");
+            limits.take("/frequencies");
+            limits.take("/frequencies");
+
+            expect(limits.getStats().rateLimited).toEqual({ "/frequencies": 2 });
+        });
+
+        test("should count body errors", () => {
+            const limits = createRequestLimits();
+            limits.recordBodyError(413);
+            limits.recordBodyError(413);
+            limits.recordBodyError(415);
+            limits.recordBodyError(408);
+            limits.recordBodyError(400);
+
+            expect(limits.getStats()).toEqual({
+                rateLimited: {},
+                bodyTooLarge: 2,
+                unsupportedMediaType: 1,
+                bodyTimeout: 1
+            });
+        });
+
+        test("should share one bucket between unknown paths once many were seen", () => {
+            const limits = createRequestLimits({ rateLimits: { "*": { capacity: 1, refillPerSecond: 1 } }, now });
+            for (let i = 0; i < 100; i++) {
+                limits.take(`/random-${i}`);
+            }
+
+            expect(limits.take("/random-new").allowed).toBe(false);
+            expect(limits.getStats().rateLimited["*"]).toBeGreaterThan(0);
+        });
+    });
+});
@@ -0,0 +1,252 @@
+/**
+ * Unit tests for Routes module
+ */
+
+const { ROUTES, findRoute } = require("../src/main/routes.cjs");
+const { createRadioState } = require("../src/main/radioState.cjs");
+const { DEFAULT_BAND_PLAN } = require("../src/main/bandPlan.cjs");
+const { releasePTT } = require("../src/main/session.cjs");
+
+describe("routes module", () => {
+    let ctx;
+
+    beforeEach(() => {
+        ctx = {
+            state: {
+                mainWindow: {},
+                isPTTPressed: false,
+                serverURL: null,
+                radio: createRadioState()
+            },
+            callbacks: {},
+            emit: jest.fn(),
+            bandPlan: DEFAULT_BAND_PLAN,
+            now: () => 1000,
+            log: () => {}
+        };
+    });
+
+    // ==========================================
+    // ROUTES tests
+    // ==========================================
+    describe("ROUTES", () => {
+        test("should declare each method and path once", () => {
+            const keys = ROUTES.map(route => `${route.method} ${route.path}`);
+
+            expect(new Set(keys).size).toBe(keys.length);
+        });
+
+        test("should declare a handler for every route", () => {
+            ROUTES.forEach(route => {
+                expect(["GET", "POST"]).toContain(route.method);
+                expect(route.path).toMatch(/^\//);
+                expect(typeof route.handler).toBe("function");
+            });
+        });
+
+        test("should only declare a body schema on POST routes", () => {
+            ROUTES.filter(route => route.schema).forEach(route => {
+                expect(route.method).toBe("POST");
+                expect(route.schema.type).toBe("object");
+            });
+        });
+
+        test("should describe every route for the OpenAPI document", () => {
+            ROUTES.forEach(route => {
+                expect(typeof route.summary).toBe("string");
+            });
+        });
+    });
+
+    // ==========================================
+    // findRoute tests
+    // ==========================================
+    describe("findRoute", () => {
+        test("should find a route by method and path", () => {
+            expect(findRoute("POST", "/ptt/press").path).toBe("/ptt/press");
+            expect(findRoute("GET", "/frequencies").method).toBe("GET");
+            expect(findRoute("POST", "/frequencies").method).toBe("POST");
+        });
+
+        test("should return null for an unknown path or method", () => {
+            expect(findRoute("GET", "/unknown")).toBeNull();
+            expect(findRoute("DELETE", "/status")).toBeNull();
+        });
+
+        test("should search a custom table", () => {
+            const routes = [{ method: "GET", path: "/ping", handler: () => {} }];
+
+            expect(findRoute("GET", "/ping", routes)).toBe(routes[0]);
+            expect(findRoute("GET", "/status", routes)).toBeNull();
+        });
+    });
+
+    // ==========================================
+    // Handler tests
+    // ==========================================
+    describe("handlers", () => {
+        test("should return a response instead of writing it", async () => {
+            const response = await findRoute("POST", "/frequency").handler(ctx, { frequency: 45.3 });
+
+            expect(response).toEqual({ status: 200, body: { success: true, frequency: "45.3" } });
+            expect(ctx.emit).toHaveBeenCalledWith("frequency:change", "45.3");
+        });
+
+        test("should emit renderer events through the context", async () => {
+            await findRoute("POST", "/frequencies").handler(ctx, {
+                frequencies: [{ frequency: 45.3, earSide: 2 }]
+            });
+            await findRoute("POST", "/ptt/press").handler(ctx, {});
+
+            expect(ctx.emit.mock.calls.map(call => call[0])).toEqual(["frequencies:update", "ptt:press"]);
+            expect(ctx.state.isPTTPressed).toBe(true);
+        });
+
+        test("should answer 404 for /events without an event stream", async () => {
+            const response = await findRoute("GET", "/events").handler(ctx);
+
+            expect(response.status).toBe(404);
+        });
+
+        test("should hand /events clients to the event stream", async () => {
+            ctx.events = { addClient: jest.fn() };
+            ctx.res = {};
+
+            const response = await findRoute("GET", "/events").handler(ctx);
+
+            expect(response).toBeUndefined();
+            expect(ctx.events.addClient).toHaveBeenCalledWith(ctx.res);
+        });
+
+        test("should block PTT press while reconnecting", async () => {
+            ctx.state.serverURL = "http://voip.server.com";
+            ctx.state.reconnectingSince = 500;
+
+            const response = await findRoute("POST", "/ptt/press").handler(ctx, {});
+
+            expect(response.status).toBe(409);
+            expect(ctx.state.isPTTPressed).toBe(false);
+            expect(ctx.emit).not.toHaveBeenCalled();
+        });
+
+        test("should report RECONNECTING in /status", async () => {
+            ctx.state.serverURL = "http://voip.server.com";
+            ctx.state.reconnectingSince = 500;
+
+            const response = await findRoute("GET", "/status").handler(ctx);
+
+            expect(response.body.status).toBe("RECONNECTING");
+            expect(response.body.connected).toBe(true);
+            expect(response.body.reconnectingSince).toBe(500);
+        });
+
+        test("should restore the connection on heartbeat", async () => {
+            ctx.state.serverURL = "http://voip.server.com";
+            ctx.state.reconnectingSince = 500;
+
+            await findRoute("POST", "/heartbeat").handler(ctx, {});
+
+            expect(ctx.state.reconnectingSince).toBeNull();
+            expect(ctx.state.lastHeartbeat).toBe(1000);
+            expect(ctx.emit).toHaveBeenCalledWith("connection:restored", { duration: 500 });
+        });
+
+        test("should echo the negotiated heartbeat policy on /connect", async () => {
+            const response = await findRoute("POST", "/connect").handler(ctx, {
+                url: "http://voip.server.com",
+                heartbeatInterval: 2000,
+                heartbeatTimeout: 500000
+            });
+
+            expect(response.body.heartbeat).toEqual({ interval: 2000, timeout: 120000 });
+            expect(ctx.state.heartbeatPolicy).toEqual({ interval: 2000, timeout: 120000 });
+        });
+
+        test("should let the user settings override the mod", async () => {
+            const values = { allowedServers: ["http://voip.server.com"], heartbeatTimeout: 60000 };
+            ctx.settings = { get: (key) => values[key] };
+
+            const response = await findRoute("POST", "/connect").handler(ctx, {
+                url: "http://voip.server.com",
+                heartbeatTimeout: 10000
+            });
+
+            expect(response.body.heartbeat.timeout).toBe(60000);
+        });
+
+        test("should track heartbeat stats per session", async () => {
+            await findRoute("POST", "/connect").handler(ctx, { url: "http://voip.server.com" });
+            await findRoute("POST", "/heartbeat").handler(ctx, { timestamp: 990 });
+
+            const response = await findRoute("GET", "/status").handler(ctx);
+
+            expect(response.body.heartbeatPolicy).toEqual({ interval: 5000, timeout: 30000 });
+            expect(response.body.heartbeatStats).toMatchObject({ count: 1, lastAt: 1000, latency: { last: 10 } });
+        });
+
+        test("should correct the state from a heartbeat snapshot", async () => {
+            await findRoute("POST", "/frequencies").handler(ctx, { frequencies: [{ frequency: 45.3, earSide: 2 }] });
+            ctx.emit.mockClear();
+
+            const response = await findRoute("POST", "/heartbeat").handler(ctx, {
+                state: { frequencies: [{ frequency: 45.3, earSide: 0 }], activeChannel: 45.3, pttPressed: false }
+            });
+
+            expect(response.body.corrections).toEqual([
+                { field: "earSide", frequency: "45.3", from: 2, to: 0 },
+                { field: "activeChannel", from: null, to: "45.3" }
+            ]);
+            expect(ctx.emit.mock.calls.map(call => call[0])).toEqual(["ear-side:change", "active-channel:change"]);
+        });
+
+        test("should not press PTT again from a heartbeat sent before a newer release", async () => {
+            await findRoute("POST", "/ptt/press").handler(ctx, { seq: 1 });
+            await findRoute("POST", "/ptt/release").handler(ctx, { seq: 2 });
+            ctx.emit.mockClear();
+
+            const response = await findRoute("POST", "/heartbeat").handler(ctx, { state: { pttPressed: true } });
+
+            expect(response.body.corrections).toEqual([]);
+            expect(ctx.state.isPTTPressed).toBe(false);
+            expect(ctx.emit).not.toHaveBeenCalledWith("ptt:press");
+        });
+
+        test("should not press PTT again after the watchdog released it", async () => {
+            await findRoute("POST", "/ptt/press").handler(ctx, {});
+            releasePTT(ctx.state, "max_duration", ctx.emit, 61000);
+            ctx.emit.mockClear();
+
+            await findRoute("POST", "/heartbeat").handler(ctx, { state: { pttPressed: true } });
+
+            expect(ctx.state.isPTTPressed).toBe(false);
+            expect(ctx.state.pttAutoRelease).toEqual({ reason: "max_duration", at: 61000 });
+            expect(ctx.emit).not.toHaveBeenCalled();
+        });
+
+        test("should not report corrections without a snapshot", async () => {
+            const response = await findRoute("POST", "/heartbeat").handler(ctx, {});
+
+            expect(response.body).toEqual({ success: true });
+        });
+
+        test("should refuse a snapshot outside the band plan", async () => {
+            const response = await findRoute("POST", "/heartbeat").handler(ctx, {
+                state: { frequencies: [{ frequency: -5, earSide: 0 }], activeChannel: 45.35 }
+            });
+
+            expect(response.status).toBe(400);
+            expect(response.body.details).toEqual([
+                { field: "state.frequencies[0].frequency", message: "-5 is below minimum 1" },
+                { field: "state.activeChannel", message: "45.35 is not a multiple of step 0.1" }
+            ]);
+            expect(ctx.state.lastHeartbeat).toBeUndefined();
+        });
+
+        test("should refuse an untuned frequency with 409", async () => {
+            const response = await findRoute("POST", "/volume").handler(ctx, { frequency: 45.3, volume: 50 });
+
+            expect(response.status).toBe(409);
+            expect(ctx.emit).not.toHaveBeenCalled();
+        });
+    });
+});
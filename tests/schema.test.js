@@ -0,0 +1,124 @@
+/**
+ * Unit tests for Schema module
+ */
+
+const { matchesType, validateSchema } = require("../src/main/schema.cjs");
+
+describe("schema module", () => {
+    // ==========================================
+    // matchesType tests
+    // ==========================================
+    describe("matchesType", () => {
+        test("should tell objects, arrays and null apart", () => {
+            expect(matchesType({}, "object")).toBe(true);
+            expect(matchesType([], "object")).toBe(false);
+            expect(matchesType(null, "object")).toBe(false);
+            expect(matchesType([], "array")).toBe(true);
+        });
+
+        test("should only accept finite numbers", () => {
+            expect(matchesType(45.3, "number")).toBe(true);
+            expect(matchesType(NaN, "number")).toBe(false);
+            expect(matchesType(Infinity, "number")).toBe(false);
+            expect(matchesType("45.3", "number")).toBe(false);
+        });
+
+        test("should check integers", () => {
+            expect(matchesType(3, "integer")).toBe(true);
+            expect(matchesType(1.5, "integer")).toBe(false);
+        });
+    });
+
+    // ==========================================
+    // validateSchema tests
+    // ==========================================
+    describe("validateSchema", () => {
+        const schema = {
+            type: "object",
+            properties: {
+                frequency: { type: "number" },
+                volume: { type: "number", minimum: 0, maximum: 100 },
+                muted: { type: "boolean" }
+            },
+            required: ["frequency"]
+        };
+
+        test("should accept a valid value", () => {
+            expect(validateSchema({ frequency: 45.3, volume: 50 }, schema)).toEqual([]);
+        });
+
+        test("should ignore properties the schema does not declare", () => {
+            expect(validateSchema({ frequency: 45.3, extra: "x" }, schema)).toEqual([]);
+        });
+
+        test("should report a wrong body type", () => {
+            expect(validateSchema([], schema)).toEqual([{ field: "body", message: "must be an object" }]);
+        });
+
+        test("should report every field at fault", () => {
+            expect(validateSchema({ volume: 150, muted: "yes" }, schema)).toEqual([
+                { field: "frequency", message: "is required" },
+                { field: "volume", message: "must be between 0 and 100" },
+                { field: "muted", message: "must be a boolean" }
+            ]);
+        });
+
+        test("should describe one-sided ranges", () => {
+            expect(validateSchema(-1, { type: "integer", minimum: 0 })).toEqual([{ field: "body", message: "must be >= 0" }]);
+            expect(validateSchema(11, { type: "integer", maximum: 10 })).toEqual([{ field: "body", message: "must be <= 10" }]);
+        });
+
+        test("should check enums", () => {
+            expect(validateSchema(5, { type: "integer", enum: [0, 1, 2] })).toEqual([
+                { field: "body", message: "must be one of 0, 1, 2" }
+            ]);
+        });
+
+        test("should accept null only when nullable", () => {
+            expect(validateSchema(null, { type: "number", nullable: true })).toEqual([]);
+            expect(validateSchema("x", { type: "number", nullable: true })).toEqual([
+                { field: "body", message: "must be a number or null" }
+            ]);
+            expect(validateSchema(null, { type: "number" })).toEqual([{ field: "body", message: "must be a number" }]);
+        });
+
+        test("should check string lengths", () => {
+            expect(validateSchema({ url: "" }, {
+                type: "object",
+                properties: { url: { type: "string", minLength: 1 } }
+            })).toEqual([{ field: "url", message: "must not be empty" }]);
+            expect(validateSchema("abcd", { type: "string", maxLength: 3 })).toEqual([
+                { field: "body", message: "must have at most 3 characters" }
+            ]);
+        });
+
+        test("should give the path of nested array items", () => {
+            const listSchema = {
+                type: "object",
+                properties: {
+                    frequencies: {
+                        type: "array",
+                        minItems: 1,
+                        maxItems: 2,
+                        items: {
+                            type: "object",
+                            properties: { earSide: { type: "integer", enum: [0, 1, 2] } },
+                            required: ["earSide"]
+                        }
+                    }
+                }
+            };
+
+            expect(validateSchema({ frequencies: [{ earSide: 0 }, { earSide: 7 }] }, listSchema)).toEqual([
+                { field: "frequencies[1].earSide", message: "must be one of 0, 1, 2" }
+            ]);
+            expect(validateSchema({ frequencies: [] }, listSchema)).toEqual([
+                { field: "frequencies", message: "must not be empty" }
+            ]);
+            expect(validateSchema({ frequencies: [{ earSide: 0 }, { earSide: 1 }, {}] }, listSchema)).toEqual([
+                { field: "frequencies", message: "must have at most 2 items" },
+                { field: "frequencies[2].earSide", message: "is required" }
+            ]);
+        });
+    });
+});
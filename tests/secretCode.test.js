@@ -0,0 +1,68 @@
+/**
+ * Unit tests for Secret Code module
+ */
+
+const crypto = require("crypto");
+const { hashSecretCode, createSecretCodeProvider } = require("../src/main/secretCode.cjs");
+
+const WAITING_PAGE_URL = "file:///C:/app/resources/src/renderer/waiting.html";
+
+// Mock IPC event sent from a frame
+function createMockEvent(url) {
+    return { senderFrame: { url } };
+}
+
+describe("secretCode module", () => {
+
+    // ==========================================
+    // hashSecretCode tests
+    // ==========================================
+    describe("hashSecretCode", () => {
+        test("should return the SHA-256 of the lowercased code", () => {
+            const expected = crypto.createHash("sha256").update("iamradiovoip").digest("hex");
+
+            expect(hashSecretCode("IAmRadioVoip")).toBe(expected);
+        });
+
+        test("should hash codes containing quotes without escaping them", () => {
+            const code = "\";alert(1);//";
+            const expected = crypto.createHash("sha256").update(code).digest("hex");
+
+            expect(hashSecretCode(code)).toBe(expected);
+        });
+    });
+
+    // ==========================================
+    // createSecretCodeProvider tests
+    // ==========================================
+    describe("createSecretCodeProvider", () => {
+        const getSecretCode = createSecretCodeProvider("iamradiovoip", WAITING_PAGE_URL);
+
+        test("should give length and hash to the waiting page", () => {
+            expect(getSecretCode(createMockEvent(WAITING_PAGE_URL))).toEqual({
+                length: 12,
+                hash: hashSecretCode("iamradiovoip")
+            });
+        });
+
+        test("should never include the plaintext code", () => {
+            const info = getSecretCode(createMockEvent(WAITING_PAGE_URL));
+
+            expect(JSON.stringify(info)).not.toContain("iamradiovoip");
+        });
+
+        test("should refuse remote pages", () => {
+            expect(getSecretCode(createMockEvent("https://voip.example.com/"))).toBeNull();
+            expect(getSecretCode(createMockEvent("http://localhost:3001/"))).toBeNull();
+        });
+
+        test("should refuse other local files", () => {
+            expect(getSecretCode(createMockEvent("file:///C:/Users/me/Downloads/evil.html"))).toBeNull();
+        });
+
+        test("should refuse events without a sender frame", () => {
+            expect(getSecretCode({})).toBeNull();
+            expect(getSecretCode(undefined)).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,154 @@
+/**
+ * Unit tests for Server Policy module
+ */
+
+const {
+    CONNECT_ERRORS,
+    parseServerURL,
+    authorizeServerURL
+} = require("../src/main/serverPolicy.cjs");
+
+// In-memory settings store
+function createMockSettings(values = {}) {
+    const settings = { allowedServers: [], restrictToAllowedServers: false, ...values };
+    return {
+        get: jest.fn(key => settings[key]),
+        set: jest.fn((key, value) => {
+            settings[key] = value;
+            return true;
+        })
+    };
+}
+
+describe("serverPolicy module", () => {
+
+    // ==========================================
+    // parseServerURL tests
+    // ==========================================
+    describe("parseServerURL", () => {
+        test("should accept http and https URLs", () => {
+            expect(parseServerURL("http://voip.example.com/room?id=1")).toEqual({ origin: "http://voip.example.com" });
+            expect(parseServerURL("https://voip.example.com:8443")).toEqual({ origin: "https://voip.example.com:8443" });
+        });
+
+        test("should reject other protocols", () => {
+            expect(parseServerURL("file:///C:/Windows/win.ini").code).toBe(CONNECT_ERRORS.UNSUPPORTED_PROTOCOL);
+            expect(parseServerURL("javascript:alert(1)").code).toBe(CONNECT_ERRORS.UNSUPPORTED_PROTOCOL);
+            expect(parseServerURL("data:text/html,hi").code).toBe(CONNECT_ERRORS.UNSUPPORTED_PROTOCOL);
+        });
+
+        test("should reject invalid URLs", () => {
+            expect(parseServerURL("not a url").code).toBe(CONNECT_ERRORS.INVALID_URL);
+            expect(parseServerURL(42).code).toBe(CONNECT_ERRORS.INVALID_URL);
+        });
+    });
+
+    // ==========================================
+    // authorizeServerURL tests
+    // ==========================================
+    describe("authorizeServerURL", () => {
+        test("should only check the protocol without settings", async () => {
+            expect(await authorizeServerURL("https://any.example.com")).toEqual({
+                allowed: true,
+                origin: "https://any.example.com"
+            });
+            expect(await authorizeServerURL("file:///etc/passwd")).toMatchObject({
+                allowed: false,
+                status: 400,
+                code: CONNECT_ERRORS.UNSUPPORTED_PROTOCOL
+            });
+        });
+
+        test("should allow a server in the list without asking", async () => {
+            const settings = createMockSettings({ allowedServers: ["https://voip.example.com"] });
+            const confirmServer = jest.fn();
+
+            const decision = await authorizeServerURL("https://voip.example.com/room", settings, confirmServer);
+
+            expect(decision.allowed).toBe(true);
+            expect(confirmServer).not.toHaveBeenCalled();
+        });
+
+        test("should ask about a new server and remember it", async () => {
+            const settings = createMockSettings();
+            const confirmServer = jest.fn().mockResolvedValue(true);
+
+            const decision = await authorizeServerURL("https://new.example.com/room", settings, confirmServer);
+
+            expect(decision.allowed).toBe(true);
+            expect(confirmServer).toHaveBeenCalledWith("https://new.example.com");
+            expect(settings.set).toHaveBeenCalledWith("allowedServers", ["https://new.example.com"]);
+        });
+
+        test("should report an approval that could not be saved", async () => {
+            const settings = createMockSettings();
+            settings.set.mockReturnValue(false);
+            const log = jest.fn();
+
+            const decision = await authorizeServerURL("https://new.example.com", settings, jest.fn().mockResolvedValue(true), { log });
+
+            expect(decision).toEqual({ allowed: true, origin: "https://new.example.com", saved: false });
+            expect(log).toHaveBeenCalledWith("[Settings] Could not save allowedServers, allowed until restart:", "https://new.example.com");
+        });
+
+        test("should tell the mod to retry when the user takes too long", async () => {
+            jest.useFakeTimers();
+            const settings = createMockSettings();
+            let answer;
+            const confirmServer = jest.fn(() => new Promise(resolve => { answer = resolve; }));
+
+            const pending = authorizeServerURL("https://new.example.com", settings, confirmServer, { confirmTimeout: 1000 });
+            jest.advanceTimersByTime(1000);
+            const decision = await pending;
+            jest.useRealTimers();
+
+            expect(decision).toMatchObject({ allowed: false, status: 202, code: CONNECT_ERRORS.SERVER_PENDING });
+
+            // The late approval is still remembered for the next /connect
+            answer(true);
+            await new Promise(resolve => setImmediate(resolve));
+            expect(settings.set).toHaveBeenCalledWith("allowedServers", ["https://new.example.com"]);
+            expect(await authorizeServerURL("https://new.example.com", settings, confirmServer)).toEqual({
+                allowed: true,
+                origin: "https://new.example.com"
+            });
+        });
+
+        test("should refuse a server the user declined", async () => {
+            const settings = createMockSettings();
+            const confirmServer = jest.fn().mockResolvedValue(false);
+
+            const decision = await authorizeServerURL("https://new.example.com", settings, confirmServer);
+
+            expect(decision).toMatchObject({ allowed: false, status: 403, code: CONNECT_ERRORS.SERVER_REFUSED });
+            expect(settings.set).not.toHaveBeenCalled();
+        });
+
+        test("should refuse unknown servers without asking when restricted", async () => {
+            const settings = createMockSettings({ restrictToAllowedServers: true });
+            const confirmServer = jest.fn();
+
+            const decision = await authorizeServerURL("https://new.example.com", settings, confirmServer);
+
+            expect(decision).toMatchObject({ allowed: false, status: 403, code: CONNECT_ERRORS.SERVER_NOT_ALLOWED });
+            expect(confirmServer).not.toHaveBeenCalled();
+        });
+
+        test("should refuse unknown servers when nobody can be asked", async () => {
+            const decision = await authorizeServerURL("https://new.example.com", createMockSettings());
+
+            expect(decision.code).toBe(CONNECT_ERRORS.SERVER_NOT_ALLOWED);
+        });
+
+        test("should match on origin, not on a prefix", async () => {
+            const settings = createMockSettings({
+                allowedServers: ["https://voip.example.com"],
+                restrictToAllowedServers: true
+            });
+
+            const decision = await authorizeServerURL("https://voip.example.com.evil.com", settings);
+
+            expect(decision.allowed).toBe(false);
+        });
+    });
+});
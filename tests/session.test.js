@@ -0,0 +1,183 @@
+/**
+ * Unit tests for Session module
+ */
+
+const {
+    RENDERER_CHANNELS,
+    createEmitter,
+    getConnectionStatus,
+    releasePTT,
+    startReconnecting,
+    restoreConnection,
+    endSession
+} = require("../src/main/session.cjs");
+const { createRadioState } = require("../src/main/radioState.cjs");
+
+describe("session module", () => {
+    // ==========================================
+    // createEmitter tests
+    // ==========================================
+    describe("createEmitter", () => {
+        test("should call the renderer callback and broadcast", () => {
+            const callbacks = { onVolumeChange: jest.fn() };
+            const events = { broadcast: jest.fn() };
+            const emit = createEmitter(callbacks, events);
+
+            emit("volume:change", { frequency: "45.3", volume: 50 });
+
+            expect(callbacks.onVolumeChange).toHaveBeenCalledWith({ frequency: "45.3", volume: 50 });
+            expect(events.broadcast).toHaveBeenCalledWith("volume:change", { frequency: "45.3", volume: 50 });
+        });
+
+        test("should only broadcast channels without a renderer callback", () => {
+            const callbacks = { onConnect: jest.fn() };
+            const events = { broadcast: jest.fn() };
+            const emit = createEmitter(callbacks, events);
+
+            emit("connection:connect", { url: "http://voip.server.com" });
+
+            expect(callbacks.onConnect).not.toHaveBeenCalled();
+            expect(events.broadcast).toHaveBeenCalledWith("connection:connect", { url: "http://voip.server.com" });
+        });
+
+        test("should work without callbacks or events", () => {
+            const emit = createEmitter({});
+
+            expect(() => emit("ptt:press")).not.toThrow();
+        });
+
+        test("should map every renderer channel to a callback name", () => {
+            Object.values(RENDERER_CHANNELS).forEach(name => {
+                expect(name).toMatch(/^on[A-Z]/);
+            });
+        });
+    });
+
+    // ==========================================
+    // getConnectionStatus tests
+    // ==========================================
+    describe("getConnectionStatus", () => {
+        test("should return CONNECTED with a server URL", () => {
+            expect(getConnectionStatus("http://voip.server.com", {})).toBe("CONNECTED");
+        });
+
+        test("should return WAITING_FOR_CONNECTION with a window only", () => {
+            expect(getConnectionStatus(null, {})).toBe("WAITING_FOR_CONNECTION");
+        });
+
+        test("should return RECONNECTING while the heartbeat is late", () => {
+            expect(getConnectionStatus("http://voip.server.com", {}, 5000)).toBe("RECONNECTING");
+        });
+
+        test("should return DISCONNECTED without a window", () => {
+            expect(getConnectionStatus(null, null)).toBe("DISCONNECTED");
+        });
+    });
+
+    // ==========================================
+    // releasePTT tests
+    // ==========================================
+    describe("releasePTT", () => {
+        test("should release a pressed PTT and record the reason", () => {
+            const state = { isPTTPressed: true, pttPressedAt: 1000, pttFrequencies: ["45.3"] };
+            const emit = jest.fn();
+
+            expect(releasePTT(state, "max_duration", emit, 5000)).toBe(true);
+
+            expect(state.isPTTPressed).toBe(false);
+            expect(state.pttPressedAt).toBeNull();
+            expect(state.pttFrequencies).toBeNull();
+            expect(state.pttAutoRelease).toEqual({ reason: "max_duration", at: 5000 });
+            expect(emit).toHaveBeenCalledWith("ptt:release", { reason: "max_duration" });
+        });
+
+        test("should do nothing when PTT is not pressed", () => {
+            const state = { isPTTPressed: false, pttAutoRelease: null };
+            const emit = jest.fn();
+
+            expect(releasePTT(state, "navigation", emit)).toBe(false);
+
+            expect(state.pttAutoRelease).toBeNull();
+            expect(emit).not.toHaveBeenCalled();
+        });
+    });
+
+    // ==========================================
+    // startReconnecting / restoreConnection tests
+    // ==========================================
+    describe("startReconnecting", () => {
+        test("should release PTT and keep the server", () => {
+            const state = { serverURL: "http://voip.server.com", isPTTPressed: true, reconnectingSince: null };
+            const emit = jest.fn();
+
+            expect(startReconnecting(state, emit, 40000)).toBe(true);
+
+            expect(state.reconnectingSince).toBe(40000);
+            expect(state.serverURL).toBe("http://voip.server.com");
+            expect(state.isPTTPressed).toBe(false);
+            expect(emit.mock.calls).toEqual([
+                ["ptt:release", { reason: "reconnecting" }],
+                ["connection:reconnecting", { since: 40000 }]
+            ]);
+        });
+
+        test("should do nothing when already reconnecting or not connected", () => {
+            const emit = jest.fn();
+
+            expect(startReconnecting({ serverURL: "http://voip.server.com", reconnectingSince: 1000 }, emit)).toBe(false);
+            expect(startReconnecting({ serverURL: null, reconnectingSince: null }, emit)).toBe(false);
+            expect(emit).not.toHaveBeenCalled();
+        });
+    });
+
+    describe("restoreConnection", () => {
+        test("should leave RECONNECTING and report how long it lasted", () => {
+            const state = { serverURL: "http://voip.server.com", reconnectingSince: 40000 };
+            const emit = jest.fn();
+
+            expect(restoreConnection(state, emit, 52000)).toBe(true);
+
+            expect(state.reconnectingSince).toBeNull();
+            expect(emit).toHaveBeenCalledWith("connection:restored", { duration: 12000 });
+        });
+
+        test("should do nothing when connected", () => {
+            const emit = jest.fn();
+
+            expect(restoreConnection({ reconnectingSince: null }, emit)).toBe(false);
+            expect(emit).not.toHaveBeenCalled();
+        });
+    });
+
+    // ==========================================
+    // endSession tests
+    // ==========================================
+    describe("endSession", () => {
+        test("should release PTT and clear the session", () => {
+            const state = {
+                serverURL: "http://voip.server.com",
+                isPTTPressed: true,
+                lastHeartbeat: 1000,
+                reconnectingSince: 31000,
+                pttSequence: 12,
+                pttTimestamp: 3400,
+                radio: createRadioState()
+            };
+            state.radio.setFrequencies([{ frequency: "45.3", earSide: 2 }]);
+            const emit = jest.fn();
+
+            endSession(state, "heartbeat_timeout", emit);
+
+            expect(state.serverURL).toBeNull();
+            expect(state.lastHeartbeat).toBeNull();
+            expect(state.reconnectingSince).toBeNull();
+            expect(state.pttSequence).toBeNull();
+            expect(state.pttTimestamp).toBeNull();
+            expect(state.radio.getFrequencies()).toEqual([]);
+            expect(emit.mock.calls).toEqual([
+                ["ptt:release", { reason: "disconnect" }],
+                ["connection:disconnect", { reason: "heartbeat_timeout" }]
+            ]);
+        });
+    });
+});
@@ -0,0 +1,82 @@
+/**
+ * Unit tests for Settings module
+ */
+
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+const {
+    DEFAULT_SETTINGS,
+    createSettingsStore,
+    getDefaultSettingsPath
+} = require("../src/main/settings.cjs");
+
+// Test directory for file operations
+const TEST_DIR = path.join(os.tmpdir(), "radio-voip-settings-tests-" + Date.now());
+
+beforeAll(() => {
+    fs.mkdirSync(TEST_DIR, { recursive: true });
+});
+
+afterAll(() => {
+    try {
+        fs.rmSync(TEST_DIR, { recursive: true, force: true });
+    } catch (e) {
+        // Ignore cleanup errors
+    }
+});
+
+describe("settings module", () => {
+    let settingsPath;
+
+    beforeEach(() => {
+        settingsPath = path.join(TEST_DIR, `settings-${Math.random().toString(36).slice(2)}.json`);
+    });
+
+    describe("createSettingsStore", () => {
+        test("should use defaults when file does not exist", () => {
+            const settings = createSettingsStore(settingsPath);
+
+            expect(settings.getAll()).toEqual(DEFAULT_SETTINGS);
+            expect(fs.existsSync(settingsPath)).toBe(false);
+        });
+
+        test("should write the file on set", () => {
+            const settings = createSettingsStore(settingsPath);
+
+            expect(settings.set("allowedServers", ["https://voip.example.com"])).toBe(true);
+
+            const saved = JSON.parse(fs.readFileSync(settingsPath, "utf-8"));
+            expect(saved.allowedServers).toEqual(["https://voip.example.com"]);
+        });
+
+        test("should load saved values over defaults", () => {
+            fs.writeFileSync(settingsPath, JSON.stringify({ restrictToAllowedServers: true }));
+
+            const settings = createSettingsStore(settingsPath);
+
+            expect(settings.get("restrictToAllowedServers")).toBe(true);
+            expect(settings.get("allowedServers")).toEqual([]);
+        });
+
+        test("should keep defaults when file is invalid", () => {
+            fs.writeFileSync(settingsPath, "{ not json");
+
+            expect(createSettingsStore(settingsPath).getAll()).toEqual(DEFAULT_SETTINGS);
+        });
+
+        test("should create missing directories", () => {
+            const nestedPath = path.join(TEST_DIR, "nested", "dir", "settings.json");
+            const settings = createSettingsStore(nestedPath);
+
+            expect(settings.set("restrictToAllowedServers", true)).toBe(true);
+            expect(fs.existsSync(nestedPath)).toBe(true);
+        });
+    });
+
+    describe("getDefaultSettingsPath", () => {
+        test("should place settings.json in the user data directory", () => {
+            expect(getDefaultSettingsPath("/data")).toBe(path.join("/data", "settings.json"));
+        });
+    });
+});
@@ -0,0 +1,117 @@
+/**
+ * Unit tests for State sync module
+ */
+
+const { resyncState } = require("../src/main/stateSync.cjs");
+const { createRadioState } = require("../src/main/radioState.cjs");
+
+describe("stateSync module", () => {
+    let state;
+    let emit;
+
+    beforeEach(() => {
+        state = {
+            mainWindow: {},
+            isPTTPressed: false,
+            pttPressedAt: null,
+            pttFrequencies: null,
+            reconnectingSince: null,
+            radio: createRadioState()
+        };
+        state.radio.setFrequencies([
+            { frequency: "45.3", earSide: 2, volume: 80 },
+            { frequency: "87.5", earSide: 0 }
+        ]);
+        state.radio.setActiveChannel("45.3");
+        emit = jest.fn();
+    });
+
+    // ==========================================
+    // resyncState tests
+    // ==========================================
+    describe("resyncState", () => {
+        test("should do nothing when in sync", () => {
+            const corrections = resyncState(state, {
+                frequencies: [{ frequency: "87.5", earSide: 0 }, { frequency: "45.3", earSide: 2, volume: 80 }],
+                activeChannel: "45.3",
+                pttPressed: false
+            }, emit);
+
+            expect(corrections).toEqual([]);
+            expect(emit).not.toHaveBeenCalled();
+        });
+
+        test("should ignore fields the mod left out", () => {
+            expect(resyncState(state, {}, emit)).toEqual([]);
+            expect(resyncState(state, { frequencies: [{ frequency: "45.3", earSide: 2 }, { frequency: "87.5", earSide: 0 }] }, emit)).toEqual([]);
+        });
+
+        test("should replace the list when tuned frequencies differ", () => {
+            const corrections = resyncState(state, {
+                frequencies: [{ frequency: "45.3", earSide: 1 }, { frequency: "120", earSide: 2 }]
+            }, emit);
+
+            expect(corrections).toEqual([{ field: "frequencies", from: ["45.3", "87.5"], to: ["45.3", "120"] }]);
+            expect(emit).toHaveBeenCalledWith("frequencies:update", [
+                { frequency: "45.3", earSide: 1, volume: 80, muted: false },
+                { frequency: "120", earSide: 2, volume: 100, muted: false }
+            ]);
+        });
+
+        test("should correct single fields of the same list", () => {
+            const corrections = resyncState(state, {
+                frequencies: [{ frequency: "45.3", earSide: 0, volume: 80 }, { frequency: "87.5", earSide: 0, muted: true }]
+            }, emit);
+
+            expect(corrections).toEqual([
+                { field: "earSide", frequency: "45.3", from: 2, to: 0 },
+                { field: "muted", frequency: "87.5", from: false, to: true }
+            ]);
+            expect(emit.mock.calls).toEqual([
+                ["ear-side:change", { frequency: "45.3", earSide: 0 }],
+                ["mute:change", { frequency: "87.5", muted: true }]
+            ]);
+        });
+
+        test("should correct the active channel after the list", () => {
+            const corrections = resyncState(state, {
+                frequencies: [{ frequency: "87.5", earSide: 0 }],
+                activeChannel: "87.5"
+            }, emit);
+
+            expect(corrections[1]).toEqual({ field: "activeChannel", from: null, to: "87.5" });
+            expect(state.radio.getActiveChannel()).toBe("87.5");
+            expect(emit).toHaveBeenLastCalledWith("active-channel:change", "87.5");
+        });
+
+        test("should clear the active channel", () => {
+            expect(resyncState(state, { activeChannel: null }, emit)).toEqual([
+                { field: "activeChannel", from: "45.3", to: null }
+            ]);
+            expect(emit).toHaveBeenCalledWith("active-channel:change", null);
+        });
+
+        test("should skip an active channel that is not tuned", () => {
+            expect(resyncState(state, { activeChannel: "120" }, emit)).toEqual([]);
+            expect(state.radio.getActiveChannel()).toBe("45.3");
+        });
+
+        test("should release a PTT the mod no longer holds", () => {
+            state.isPTTPressed = true;
+            state.pttPressedAt = 1000;
+
+            expect(resyncState(state, { pttPressed: false }, emit, 5000)).toEqual([
+                { field: "pttPressed", from: true, to: false }
+            ]);
+            expect(state.pttAutoRelease).toEqual({ reason: "resync", at: 5000 });
+            expect(emit).toHaveBeenCalledWith("ptt:release", { reason: "resync" });
+        });
+
+        test("should never press PTT from a snapshot", () => {
+            expect(resyncState(state, { pttPressed: true }, emit, 5000)).toEqual([]);
+            expect(state.isPTTPressed).toBe(false);
+            expect(state.pttPressedAt).toBeNull();
+            expect(emit).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,134 @@
+/**
+ * Unit tests for Window Policy module
+ */
+
+const {
+    LOCAL_PAGE_CSP,
+    getOrigin,
+    isNavigationAllowed,
+    isExternalURL,
+    isPermissionAllowed,
+    withLocalPageCSP
+} = require("../src/main/windowPolicy.cjs");
+
+const VOIP_ORIGIN = "https://voip.example.com";
+
+describe("windowPolicy module", () => {
+
+    // ==========================================
+    // getOrigin tests
+    // ==========================================
+    describe("getOrigin", () => {
+        test("should return the origin of http URLs", () => {
+            expect(getOrigin("https://voip.example.com/room?id=1")).toBe(VOIP_ORIGIN);
+            expect(getOrigin("http://localhost:3001/")).toBe("http://localhost:3001");
+        });
+
+        test("should return null for opaque or invalid URLs", () => {
+            expect(getOrigin("file:///C:/app/waiting.html")).toBeNull();
+            expect(getOrigin("data:text/html,hi")).toBeNull();
+            expect(getOrigin("not a url")).toBeNull();
+        });
+    });
+
+    // ==========================================
+    // isNavigationAllowed tests
+    // ==========================================
+    describe("isNavigationAllowed", () => {
+        test("should allow navigation within the connected origin", () => {
+            expect(isNavigationAllowed("https://voip.example.com/other-room", VOIP_ORIGIN)).toBe(true);
+        });
+
+        test("should block other origins", () => {
+            expect(isNavigationAllowed("https://evil.example.com", VOIP_ORIGIN)).toBe(false);
+            expect(isNavigationAllowed("http://voip.example.com", VOIP_ORIGIN)).toBe(false);
+            expect(isNavigationAllowed("https://voip.example.com.evil.com", VOIP_ORIGIN)).toBe(false);
+            expect(isNavigationAllowed("file:///C:/Windows/win.ini", VOIP_ORIGIN)).toBe(false);
+        });
+
+        test("should block everything when not connected", () => {
+            expect(isNavigationAllowed("https://voip.example.com", null)).toBe(false);
+        });
+    });
+
+    // ==========================================
+    // isExternalURL tests
+    // ==========================================
+    describe("isExternalURL", () => {
+        test("should accept http and https links", () => {
+            expect(isExternalURL("https://github.com")).toBe(true);
+            expect(isExternalURL("http://example.com")).toBe(true);
+        });
+
+        test("should refuse other schemes", () => {
+            expect(isExternalURL("file:///C:/Windows/System32/calc.exe")).toBe(false);
+            expect(isExternalURL("javascript:alert(1)")).toBe(false);
+            expect(isExternalURL("ms-settings:privacy")).toBe(false);
+            expect(isExternalURL("not a url")).toBe(false);
+        });
+    });
+
+    // ==========================================
+    // isPermissionAllowed tests
+    // ==========================================
+    describe("isPermissionAllowed", () => {
+        test("should grant microphone to the connected origin", () => {
+            const details = { requestingUrl: "https://voip.example.com/room", mediaTypes: ["audio"] };
+
+            expect(isPermissionAllowed("media", details, VOIP_ORIGIN)).toBe(true);
+        });
+
+        test("should grant media checks without media types", () => {
+            expect(isPermissionAllowed("media", { requestingUrl: VOIP_ORIGIN }, VOIP_ORIGIN)).toBe(true);
+        });
+
+        test("should deny camera", () => {
+            expect(isPermissionAllowed("media", { requestingUrl: VOIP_ORIGIN, mediaTypes: ["video"] }, VOIP_ORIGIN)).toBe(false);
+            expect(isPermissionAllowed("media", { requestingUrl: VOIP_ORIGIN, mediaTypes: ["audio", "video"] }, VOIP_ORIGIN)).toBe(false);
+        });
+
+        test("should deny microphone to other origins", () => {
+            const details = { requestingUrl: "https://evil.example.com", mediaTypes: ["audio"] };
+
+            expect(isPermissionAllowed("media", details, VOIP_ORIGIN)).toBe(false);
+            expect(isPermissionAllowed("media", { requestingUrl: VOIP_ORIGIN, mediaTypes: ["audio"] }, null)).toBe(false);
+        });
+
+        test("should deny every other permission", () => {
+            const details = { requestingUrl: VOIP_ORIGIN };
+
+            ["geolocation", "notifications", "clipboard-read", "openExternal", "midi"].forEach(permission => {
+                expect(isPermissionAllowed(permission, details, VOIP_ORIGIN)).toBe(false);
+            });
+        });
+    });
+
+    // ==========================================
+    // withLocalPageCSP tests
+    // ==========================================
+    describe("withLocalPageCSP", () => {
+        test("should add the CSP header", () => {
+            expect(withLocalPageCSP({})).toEqual({ "Content-Security-Policy": [LOCAL_PAGE_CSP] });
+            expect(withLocalPageCSP()).toEqual({ "Content-Security-Policy": [LOCAL_PAGE_CSP] });
+        });
+
+        test("should keep other headers and replace an existing CSP", () => {
+            const headers = withLocalPageCSP({
+                "Content-Type": ["text/html"],
+                "content-security-policy": ["default-src *"]
+            });
+
+            expect(headers).toEqual({
+                "Content-Type": ["text/html"],
+                "Content-Security-Policy": [LOCAL_PAGE_CSP]
+            });
+        });
+
+        test("should forbid inline scripts and styles", () => {
+            expect(LOCAL_PAGE_CSP).toContain("default-src 'none'");
+            expect(LOCAL_PAGE_CSP).toContain("script-src 'self'");
+            expect(LOCAL_PAGE_CSP).toContain("style-src 'self'");
+            expect(LOCAL_PAGE_CSP).not.toContain("unsafe-inline");
+        });
+    });
+});